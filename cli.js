@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Broddy command line
+ * usage: npx broddy <url> [options] [pages...] [output-folder]
+ *        npx broddy serve [folder] [--port <n>] [--base-path <path>]
+ *        npx broddy verify [folder] [--base-path <path>]
+ *        npx broddy diff <mirror-a> <mirror-b>
+ */
+
+import path from "path";
+import { parseArgs } from "util";
+import { diffMirrors, mirror, serve, verifyMirror } from "./index.js";
+import { createLogger } from "./lib/logger.js";
+import { listSnapshots } from "./lib/snapshots.js";
+
+const USAGE = `usage: broddy <url> [options] [pages...] [output-folder]
+       broddy serve [folder] [--port <n>] [--base-path <path>]
+       broddy verify [folder] [--base-path <path>] [--js-parser <mode>]
+       broddy diff <mirror-a> <mirror-b>
+       broddy diff <snapshot-folder>
+  --sourcemaps         Download and apply source maps when available
+  --extract-sources <dir>
+                       Write the original sources from source maps to dir
+                       (implies --sourcemaps)
+  --depth <n>          Follow links n levels deep (default: 1, or 0 with explicit pages)
+  --max-pages <n>      Stop crawling after n pages
+  --include <pattern>  Only follow paths matching a glob or re:<regex> (repeatable)
+  --exclude <pattern>  Never follow paths matching a glob or re:<regex> (repeatable)
+  --scope <prefix>     Only follow paths under this prefix (default: /)
+  --ignore-robots      Crawl pages robots.txt disallows and ignore its Crawl-delay
+  --sitemaps           Also crawl every page in robots.txt sitemaps and /sitemap.xml
+  --feeds              Also crawl the items of RSS / Atom feeds pages link to
+  --keep-query         Treat query strings as distinct pages instead of dropping them
+  --concurrency <n>    Parallel requests (default: 4)
+  --delay <ms>         Minimum gap between requests to the same host
+  --rate <n>           Maximum requests per second to the same host
+  --retries <n>        Retries for failed requests, with backoff (default: 3)
+  --timeout <ms>       Abort requests that take longer (default: 30000)
+  --header <h>         Send "Name: value" with every request to the site (repeatable)
+  --cookie <c>         Send "name=value; name2=value2" as cookies (repeatable)
+  --cookie-jar <file>  Load cookies from a Netscape cookies.txt file and save
+                       the ones the site sets back to it
+  --user-agent <ua>    User-Agent for every request
+  --auth <user:pass>   HTTP basic auth for the site
+  --js-parser <mode>   How to find URLs in JavaScript: regex (default) or ast
+  --include-hosts <h>  Also mirror assets from these hosts, comma-separated or
+                       repeated; *.example.com matches subdomains
+  --all-hosts          Mirror assets from every host
+  --render             Run each page's scripts in jsdom and mirror what it loads
+  --prerender          With --render, also save the rendered DOM next to each
+                       page as <name>.prerendered.html
+  --record-api <pattern>
+                       Save responses for matching paths (glob or re:<regex>,
+                       repeatable) as fixtures in _api/ and replay them offline
+  --relative           Rewrite every same-origin reference relative to its file
+  --base-path <path>   Rewrite every same-origin reference under this path
+  --format <f>         dir (default), warc to also record every request and
+                       response in <folder>.warc.gz, or zip to also pack the
+                       mirror into <folder>.zip
+  --single-file        Also write each page with its CSS, JS, images and
+                       fonts inlined to <folder>-single/
+  --service-worker <m> keep (default) mirrors service workers as they are,
+                       strip replaces them with one that clears their caches,
+                       rewrite points their precache lists at the local files
+  --report <file>      Write a JSON report of every URL: where it was found,
+                       saved path, size, type, status and failure reason
+  --har <file>         Write every request and response as a HAR archive
+  --log-format <f>     text (default) or json, one object per line
+  --quiet              Only print warnings
+  --verbose            Also print every request with its status and timing
+  --resume             Continue an interrupted run, skipping completed files
+  --update             Re-fetch with conditional requests and report changes
+  --snapshot           Write each run to a new timestamped folder inside the
+                       output folder, sharing unchanged files with earlier ones
+
+serve options:
+  --port <n>           Port to listen on (default: 8080)
+  --base-path <path>   Serve the mirror under this path (default: /)
+
+verify checks every reference in the mirror resolves to a saved file and
+exits with status 1 if any is missing or still points at the live site.
+
+diff lists the pages and assets added, removed and changed between two
+mirrors, with size changes and a line diff of HTML, CSS and JS, and exits
+with status 1 if there are any. Given a --snapshot folder it compares the
+latest two snapshots.`;
+
+let cli;
+try {
+  cli = parseArgs({
+    allowPositionals: true,
+    options: {
+      sourcemaps: { type: "boolean", default: false },
+      "extract-sources": { type: "string" },
+      depth: { type: "string" },
+      "max-pages": { type: "string" },
+      include: { type: "string", multiple: true, default: [] },
+      exclude: { type: "string", multiple: true, default: [] },
+      scope: { type: "string", default: "/" },
+      "ignore-robots": { type: "boolean", default: false },
+      sitemaps: { type: "boolean", default: false },
+      feeds: { type: "boolean", default: false },
+      "keep-query": { type: "boolean", default: false },
+      concurrency: { type: "string" },
+      delay: { type: "string" },
+      rate: { type: "string" },
+      retries: { type: "string" },
+      timeout: { type: "string" },
+      header: { type: "string", multiple: true, default: [] },
+      cookie: { type: "string", multiple: true, default: [] },
+      "cookie-jar": { type: "string" },
+      "user-agent": { type: "string" },
+      auth: { type: "string" },
+      "js-parser": { type: "string", default: "regex" },
+      "include-hosts": { type: "string", multiple: true, default: [] },
+      "all-hosts": { type: "boolean", default: false },
+      render: { type: "boolean", default: false },
+      prerender: { type: "boolean", default: false },
+      "record-api": { type: "string", multiple: true, default: [] },
+      relative: { type: "boolean", default: false },
+      "base-path": { type: "string" },
+      format: { type: "string", default: "dir" },
+      "single-file": { type: "boolean", default: false },
+      "service-worker": { type: "string", default: "keep" },
+      report: { type: "string" },
+      har: { type: "string" },
+      "log-format": { type: "string", default: "text" },
+      quiet: { type: "boolean", default: false },
+      verbose: { type: "boolean", default: false },
+      resume: { type: "boolean", default: false },
+      update: { type: "boolean", default: false },
+      snapshot: { type: "boolean", default: false },
+      port: { type: "string" },
+    },
+  });
+} catch (e) {
+  console.error(e.message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const args = cli.positionals;
+
+if (!["text", "json"].includes(cli.values["log-format"])) {
+  console.error(`unknown --log-format "${cli.values["log-format"]}"`);
+  process.exit(1);
+}
+if (cli.values.quiet && cli.values.verbose) {
+  console.error("--quiet and --verbose cannot be combined");
+  process.exit(1);
+}
+const logger = createLogger({
+  format: cli.values["log-format"],
+  level: cli.values.quiet ? "quiet" : cli.values.verbose ? "verbose" : "normal",
+});
+
+if (args[0] === "serve") {
+  const server = await serve(args[1] || "mirror", {
+    port: parseCount(cli.values.port, 8080),
+    basePath: cli.values["base-path"],
+    log: logger.log,
+    warn: logger.warn,
+  });
+  process.once("SIGINT", () => {
+    server.closeAllConnections();
+    server.close(() => process.exit(0));
+  });
+} else if (args[0] === "verify") {
+  const dir = args[1] || "mirror";
+  logger.log(`🔎 Verifying ${path.resolve(dir)}`);
+  const { ok } = await verifyMirror(dir, {
+    basePath: cli.values["base-path"],
+    jsParser: cli.values["js-parser"],
+    log: logger.log,
+  });
+  if (ok) logger.log("✅ Mirror is complete");
+  else logger.warn("❌ Mirror has gaps");
+  if (!ok) process.exitCode = 1;
+} else if (args[0] === "diff") {
+  let [a, b] = args.slice(1);
+  if (a && !b) {
+    const snapshots = await listSnapshots(a);
+    if (snapshots.length < 2) {
+      console.error(`${a} has fewer than two snapshots to compare`);
+      process.exit(1);
+    }
+    [a, b] = snapshots.slice(-2).map((name) => path.join(a, name));
+  }
+  if (!a || !b) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  logger.log(`🔀 Comparing ${path.resolve(a)} with ${path.resolve(b)}`);
+  let differences;
+  try {
+    differences = await diffMirrors(a, b, { log: logger.log });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  const { added, removed, changed } = differences;
+  if (added.length || removed.length || changed.length) process.exitCode = 1;
+} else {
+  await mirrorCommand(args);
+}
+
+async function mirrorCommand(args) {
+  const baseUrl = args[0];
+
+  if (!baseUrl) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (cli.values.auth !== undefined && !cli.values.auth.includes(":")) {
+    console.error('--auth expects "user:pass"');
+    process.exit(1);
+  }
+
+  let outDir = "mirror";
+  const pages = args.slice(1);
+  if (pages.length && !pages.at(-1).startsWith("/")) outDir = pages.pop();
+
+  // mirror() checks its options up front and throws a TypeError
+  let run;
+  try {
+    run = mirror({
+      url: baseUrl,
+      pages,
+      outDir,
+      logger,
+      sourceMaps: cli.values.sourcemaps,
+      extractSources: cli.values["extract-sources"],
+      depth: parseCount(cli.values.depth, undefined),
+      maxPages: parseCount(cli.values["max-pages"], Infinity),
+      include: cli.values.include,
+      exclude: cli.values.exclude,
+      scope: cli.values.scope,
+      ignoreRobots: cli.values["ignore-robots"],
+      sitemaps: cli.values.sitemaps,
+      feeds: cli.values.feeds,
+      keepQuery: cli.values["keep-query"],
+      concurrency: parseCount(cli.values.concurrency, 4) || 1,
+      delay: parseCount(cli.values.delay, 0),
+      rate: parseRate(cli.values.rate),
+      retries: parseCount(cli.values.retries, 3),
+      timeout: parseCount(cli.values.timeout, 30000),
+      headers: parseHeaders(cli.values.header),
+      cookies: cli.values.cookie,
+      cookieJar: cli.values["cookie-jar"],
+      userAgent: cli.values["user-agent"],
+      auth: cli.values.auth,
+      jsParser: cli.values["js-parser"],
+      includeHosts: cli.values["include-hosts"]
+        .flatMap((hosts) => hosts.split(","))
+        .map((host) => host.trim().toLowerCase())
+        .filter(Boolean),
+      allHosts: cli.values["all-hosts"],
+      render: cli.values.render,
+      prerender: cli.values.prerender,
+      recordApi: cli.values["record-api"],
+      relative: cli.values.relative,
+      basePath: cli.values["base-path"],
+      format: cli.values.format,
+      singleFile: cli.values["single-file"],
+      serviceWorker: cli.values["service-worker"],
+      resume: cli.values.resume,
+      update: cli.values.update,
+      snapshot: cli.values.snapshot,
+      report: cli.values.report,
+      har: cli.values.har,
+    });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  try {
+    await run;
+  } catch (e) {
+    logger.warn(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+/* ---------- helpers ---------- */
+function parseCount(value, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    console.error(`expected a non-negative integer, got "${value}"`);
+    process.exit(1);
+  }
+  return n;
+}
+
+function parseRate(value) {
+  if (value === undefined) return 0;
+  const n = Number(value);
+  if (!(n > 0)) {
+    console.error(`expected a positive number, got "${value}"`);
+    process.exit(1);
+  }
+  return n;
+}
+
+// ["Name: value", ...] -> { name: value }
+function parseHeaders(values) {
+  const headers = {};
+  for (const value of values) {
+    const match = value.match(/^([^:\s]+)\s*:\s*(.*)$/);
+    if (!match) {
+      console.error(`expected "Name: value", got "${value}"`);
+      process.exit(1);
+    }
+    headers[match[1].toLowerCase()] = match[2];
+  }
+  return headers;
+}
@@ -1,74 +1,760 @@
-#!/usr/bin/env node
 /**
  * Broddy v2
  * Enhanced SPA/static site copier with complete asset capture and source map support
- * usage: npx broddy <url> [--sourcemaps] [output-folder]
+ *
+ *   import { mirror } from "broddy";
+ *   const run = mirror({ url: "https://site.com", outDir: "out" });
+ *   run.on("page", ({ url, file }) => ...);
+ *   const { pages, assets, failures, bytes } = await run;
  */
 
+import { createHash } from "crypto";
+import { EventEmitter } from "events";
 import { promises as fs } from "fs";
 import path from "path";
 import fetch from "node-fetch";
 import { URL } from "url";
 import { load } from "cheerio";
+import { openWarc, zipDirectory } from "./lib/archive.js";
+import { isProbe } from "./lib/bundlers.js";
+import { openCookieJar } from "./lib/cookies.js";
+import { rewriteCss } from "./lib/css.js";
+import {
+  FEED_TYPES,
+  parseFeed,
+  parseRobots,
+  parseSitemap,
+} from "./lib/discover.js";
+import { hostConfigs, pickHeaders, redirectStub } from "./lib/hosting.js";
+import {
+  adjustCsp,
+  inlineHashes,
+  recomputeIntegrity,
+} from "./lib/integrity.js";
+import { createPathMap, withQueryHash } from "./lib/paths.js";
+import { formatBytes, harEntry, harLog, writeJson } from "./lib/report.js";
+import {
+  META_ASSETS,
+  PATTERNS,
+  REFRESH_URL,
+  TYPE_EXTENSIONS,
+  assetType,
+  createExtractor,
+  parseSrcset,
+  resolveReference,
+  serializeSrcset,
+} from "./lib/extract.js";
+import { findReferences, quoteString, replaceRanges } from "./lib/js-ast.js";
+import { fixtureHeaders, fixtureName, replayScript } from "./lib/replay.js";
+import { createInliner } from "./lib/single-file.js";
+import {
+  STRIPPED_WORKER,
+  findPrecache,
+  isServiceWorker,
+  rewritePrecache,
+} from "./lib/service-worker.js";
+import { openSourceTree, parseDataUrl } from "./lib/sourcemaps.js";
+import { createSnapshot } from "./lib/snapshots.js";
+import { openStore } from "./lib/store.js";
+
+export { serve } from "./lib/serve.js";
+export { diffMirrors } from "./lib/snapshots.js";
+export { verifyMirror } from "./lib/verify.js";
+
+// Library runs are quiet unless given a logger such as console
+const SILENT = { log() {}, warn() {}, debug() {} };
+
+// Google Fonts picks font formats by user agent and answers anything it
+// doesn't recognise with TrueType; as a current browser the CSS names woff2
+const FONTS_CSS_HOST = "fonts.googleapis.com";
+const BROWSER_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36";
 
-const args = process.argv.slice(2);
-const baseUrl = args.find((a) => !a.startsWith("--"));
-const enableSourceMaps = args.includes("--sourcemaps");
+/**
+ * Mirror `url` into `outDir` (default "mirror"). Takes the command line's
+ * options in camelCase, with include, exclude and recordApi given as globs,
+ * "re:" strings or RegExps, plus
+ *   pages   paths to start from (default ["/"], which makes depth default 1)
+ *   logger  where progress is written, e.g. console (default: nowhere)
+ *   hooks   { beforeRequest(url, init) -> init, shouldFollow(url, allowed)
+ *           -> boolean, transform(content, url, type) -> content }
+ * Hooks returning undefined keep the default; beforeRequest and transform
+ * may be async. Returns an EventEmitter that is also a promise of
+ * { outDir, archive, pages, assets, failures, bytes }, archive being the
+ * WARC or zip file with format "warc" or "zip" and outDir, with snapshot,
+ * the new folder made inside the given one. It emits "page", "asset",
+ * "found", "progress" and, when anything listens for it, "error".
+ */
+export function mirror({
+  url,
+  pages = [],
+  outDir = "mirror",
+  ...options
+} = {}) {
+  if (!url) throw new TypeError("mirror() needs a url");
+  if (!["regex", "ast", undefined].includes(options.jsParser)) {
+    throw new TypeError(`unknown jsParser "${options.jsParser}"`);
+  }
+  if (options.relative && options.basePath !== undefined) {
+    throw new TypeError("relative and basePath cannot be combined");
+  }
+  if (options.resume && options.update) {
+    throw new TypeError("resume and update cannot be combined");
+  }
+  if (options.snapshot && (options.resume || options.update)) {
+    throw new TypeError("snapshot cannot be combined with resume or update");
+  }
+  if (!["dir", "warc", "zip", undefined].includes(options.format)) {
+    throw new TypeError(`unknown format "${options.format}"`);
+  }
+  if (
+    !["keep", "strip", "rewrite", undefined].includes(options.serviceWorker)
+  ) {
+    throw new TypeError(`unknown serviceWorker "${options.serviceWorker}"`);
+  }
 
-if (!baseUrl) {
-  console.error("usage: broddy <url> [--sourcemaps] [output-folder]");
-  console.error(
-    "  --sourcemaps  Download and apply source maps when available"
+  const events = new EventEmitter();
+  const done = broddy(
+    url,
+    pages.length ? pages : ["/"],
+    outDir,
+    {
+      ...options,
+      depth: options.depth ?? (pages.length ? 0 : 1),
+      include: (options.include || []).map(toMatcher),
+      exclude: (options.exclude || []).map(toMatcher),
+      recordApi: (options.recordApi || []).map(toMatcher),
+      sourceMaps: options.sourceMaps || options.extractSources !== undefined,
+      render: options.render || options.prerender,
+    },
+    events
   );
-  process.exit(1);
+  return Object.assign(events, {
+    then: done.then.bind(done),
+    catch: done.catch.bind(done),
+    finally: done.finally.bind(done),
+  });
+}
+
+// "re:<source>" is a regex, anything else a glob where * stays within one
+// path segment and ** spans several. Globs without a leading slash match
+// the end of the path, so "*.html" works at any depth.
+function toMatcher(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  if (pattern.startsWith("re:")) return new RegExp(pattern.slice(3));
+  const source = pattern
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${pattern.startsWith("/") ? "" : "(?:.*/)?"}${source}$`);
 }
 
-let outDir = "mirror";
-let pages = [];
-const remaining = args.filter((a) => a !== baseUrl && !a.startsWith("--"));
-if (remaining.length && !remaining.at(-1).startsWith("/"))
-  outDir = remaining.pop();
-if (remaining.length) pages = remaining;
-else pages = await crawlRoot(baseUrl);
-
-await broddy(baseUrl, pages, outDir, enableSourceMaps);
-
-/* ---------- helpers ---------- */
-async function crawlRoot(base) {
-  const root = new URL("/", base).href;
-  const html = await fetch(root).then((r) => r.text());
-  const $ = load(html);
-  const set = new Set(["/"]);
-  $("a[href]").each((_, el) => {
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Shared fetch scheduler: bounds parallel requests, spaces out requests per
+// host, times out stuck requests and retries transient failures with
+// exponential backoff (or whatever Retry-After asks for). Bodies are read
+// inside the slot so the timeout and the concurrency limit cover them too.
+function createScheduler({
+  concurrency = 4,
+  delay = 0,
+  rate = 0,
+  retries = 3,
+  timeout = 30000,
+  headers: extraHeaders = {},
+  userAgent,
+  auth,
+  jar,
+  origin,
+  hostDelays,
+  onExchange,
+  logger: { warn, debug = () => {} } = SILENT,
+  hooks: { beforeRequest } = {},
+} = {}) {
+  // Statuses worth retrying; anything else is a final answer
+  const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+  const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+  const MAX_REDIRECTS = 20;
+  // Longest Retry-After worth waiting for; a server asking for more isn't
+  // coming back this run
+  const MAX_RETRY_AFTER = 60000;
+  const interval = Math.max(delay, rate ? 1000 / rate : 0);
+  const nextSlot = new Map(); // host -> earliest time for the next request
+  const waiting = [];
+  let active = 0;
+
+  const acquire = async () => {
+    if (active >= concurrency) {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    active++;
+  };
+
+  const release = () => {
+    active--;
+    waiting.shift()?.();
+  };
+
+  const throttle = async (host) => {
+    const gap = Math.max(interval, hostDelays?.get(host) || 0);
+    if (!gap) return;
+    const now = Date.now();
+    const at = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, at + gap);
+    if (at > now) await sleep(at - now);
+  };
+
+  const retryAfter = (res) => {
+    const header = res.headers.get("retry-after");
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  };
+
+  // Headers every request carries. Credentials and --header only go to the
+  // site's own origin; cookies go wherever their domain says.
+  const baseHeaders = (url) => {
+    const headers = {};
+    if (userAgent) headers["user-agent"] = userAgent;
+    if (new URL(url).hostname === FONTS_CSS_HOST) {
+      headers["user-agent"] = BROWSER_USER_AGENT;
+    }
+    if (new URL(url).origin === origin) {
+      if (auth) {
+        headers.authorization = `Basic ${Buffer.from(auth).toString("base64")}`;
+      }
+      Object.assign(headers, extraHeaders);
+    }
+    const cookie = jar?.header(url);
+    if (cookie) headers.cookie = cookie;
+    return headers;
+  };
+
+  // Every request and redirect hop, for --verbose and --har
+  const exchange = ({ url, started = Date.now(), res, error, ...rest }) => {
+    const time = Date.now() - started;
+    debug(`  ${res?.status ?? "✗"} ${url} (${time}ms)`);
+    onExchange?.({ url, started, time, res, error, ...rest });
+  };
+
+  const attempt = async (url, { offsite, ...init }) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let headers, started;
     try {
-      const u = new URL($(el).attr("href"), base);
-      if (u.origin === new URL(base).origin) set.add(u.pathname);
-    } catch {
-      /* ignore */
+      // Redirects are followed here, so cookies set along the way are kept
+      // and credentials are dropped when a redirect leaves the site. Each
+      // hop is reported as { url, status, location }.
+      let res;
+      const redirects = [];
+      for (let hops = 0; ; hops++) {
+        headers = { ...baseHeaders(url), ...init.headers };
+        started = Date.now();
+        res = await fetch(url, {
+          ...init,
+          headers,
+          redirect: "manual",
+          signal: controller.signal,
+        });
+        jar?.store(url, res.headers.raw()["set-cookie"] || []);
+        const location = res.headers.get("location");
+        if (!REDIRECT_STATUSES.has(res.status) || !location) break;
+        if (hops >= MAX_REDIRECTS) throw new Error(`Too many redirects ${url}`);
+        const next = new URL(location, url).href;
+        redirects.push({ url, status: res.status, location: next });
+        // With { offsite: false } a redirect off the site is the answer
+        if (offsite === false && new URL(next).origin !== new URL(url).origin) {
+          break;
+        }
+        const hop = await res.arrayBuffer();
+        exchange({
+          url,
+          headers,
+          started,
+          res,
+          body: Buffer.from(hop),
+          size: hop.byteLength,
+        });
+        url = next;
+      }
+      const body = Buffer.from(await res.arrayBuffer());
+      exchange({ url, headers, started, res, body, size: body.length });
+      return { res, body, redirects };
+    } catch (e) {
+      const error =
+        e.name === "AbortError"
+          ? new Error(`Timed out after ${timeout}ms ${url}`)
+          : e;
+      exchange({ url, headers, started, error });
+      throw error;
+    } finally {
+      clearTimeout(timer);
     }
-  });
-  return [...set];
+  };
+
+  return async (url, init = {}) => {
+    const { host } = new URL(url);
+    if (beforeRequest) init = (await beforeRequest(url, init)) ?? init;
+    for (let tries = 0; ; tries++) {
+      const backoff = 500 * 2 ** tries;
+      let wait;
+      await acquire();
+      try {
+        await throttle(host);
+        const result = await attempt(url, init);
+        if (!RETRY_STATUSES.has(result.res.status) || tries >= retries) {
+          return result;
+        }
+        wait = retryAfter(result.res) ?? backoff;
+        if (wait > MAX_RETRY_AFTER) {
+          warn(`  ⚠️  HTTP ${result.res.status} ${url}, not waiting ${wait}ms`);
+          return result;
+        }
+        warn(`  ↻ HTTP ${result.res.status} ${url}, retrying in ${wait}ms`);
+      } catch (e) {
+        if (tries >= retries) throw e;
+        wait = backoff;
+        warn(`  ↻ ${e.message}, retrying in ${wait}ms`);
+      } finally {
+        release();
+      }
+      await sleep(wait);
+    }
+  };
+}
+
+// Run worker over items pulled from next() with at most `concurrency` in
+// flight. next() is polled again as workers finish, so queues may keep
+// growing while they drain.
+async function drain(next, concurrency, worker) {
+  const active = new Set();
+  for (;;) {
+    let item;
+    while (active.size < concurrency && (item = next()) !== undefined) {
+      const task = worker(item).finally(() => active.delete(task));
+      active.add(task);
+    }
+    if (!active.size) return;
+    await Promise.race(active);
+  }
+}
+
+// Record of everything a mirror contains, kept in <outDir>/.broddy/manifest.json
+// and keyed by URL. Entries look like
+//   { kind, path, status, etag, lastModified, hash, size, refs, error }
+// where `hash` is the SHA-256 of the upstream body, `size` the byte length of
+// the saved (rewritten) file and `refs` the URLs discovered in it, so a resumed
+// or revalidated run can keep crawling without fetching it again. Pages that
+// redirect have kind "redirect", the HTTP `code` and the `location`, and
+// pages that failed with an HTTP error keep its `code` too. Writes are
+// batched and atomic; an interrupted run loses at most the last second.
+async function openManifest(outDir) {
+  const file = path.join(outDir, ".broddy", "manifest.json");
+  let entries = {};
+  try {
+    entries = JSON.parse(await fs.readFile(file, "utf8")).entries || {};
+  } catch {
+    // No manifest yet
+  }
+  const previous = Object.keys(entries);
+  let timer = null;
+  let writing = Promise.resolve();
+
+  const write = () => {
+    clearTimeout(timer);
+    timer = null;
+    writing = writing.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const data = { version: 1, updated: new Date().toISOString(), entries };
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+      await fs.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  };
+
+  return {
+    previous,
+    get: (url) => entries[url],
+    set: (url, entry) => {
+      entries[url] = entry;
+      timer ??= setTimeout(write, 1000);
+    },
+    // The saved file is the one the entry describes, not missing or partial
+    intact: async (entry) => {
+      if (entry?.status !== "complete") return false;
+      try {
+        const stat = await fs.stat(path.join(outDir, entry.path));
+        return stat.size === entry.size;
+      } catch {
+        return false;
+      }
+    },
+    entries: () => Object.entries(entries),
+    close: write,
+  };
 }
 
-async function broddy(baseUrl, pages, outDir, enableSourceMaps) {
+async function broddy(
+  baseUrl,
+  pages,
+  outDir,
+  options = {},
+  events = new EventEmitter()
+) {
+  const {
+    sourceMaps: enableSourceMaps = false,
+    extractSources,
+    depth: maxDepth = 0,
+    maxPages = Infinity,
+    include = [],
+    exclude = [],
+    scope = "/",
+    keepQuery = false,
+    concurrency = 4,
+    timeout = 30000,
+    jsParser = "regex",
+    includeHosts = [],
+    allHosts = false,
+    render = false,
+    prerender = false,
+    recordApi = [],
+    relative = false,
+    resume = false,
+    update = false,
+    cookies = [],
+    cookieJar,
+    report: reportFile,
+    har: harFile,
+    format = "dir",
+    singleFile = false,
+    serviceWorker = "keep",
+    snapshot = false,
+    ignoreRobots = false,
+    sitemaps = false,
+    feeds = false,
+    logger: { log, warn } = SILENT,
+    hooks = {},
+  } = options;
+  // "/mirrors/site" -> "/mirrors/site/"
+  const basePath =
+    options.basePath === undefined
+      ? undefined
+      : path.posix.join("/", options.basePath, "/");
+  // Root- and page-relative references are left alone unless asked for
+  const rewriteAll = relative || basePath !== undefined;
+
+  // Assets are mirrored from the site's origin, plus other hosts on request
+  const siteOrigin = new URL(baseUrl).origin;
+
+  // --snapshot makes each run a new timestamped mirror inside outDir
+  const snapshots = snapshot ? outDir : null;
+  let previousSnapshot = null;
+  if (snapshot) {
+    ({ dir: outDir, previous: previousSnapshot } = await createSnapshot(
+      snapshots
+    ));
+    log(`📸 Snapshot ${path.basename(outDir)} in ${path.resolve(snapshots)}`);
+  }
+
+  // Cookies from --cookie-jar and --cookie, plus whatever the site sets
+  const jar = await openCookieJar(cookieJar);
+  for (const pairs of cookies) jar.add(pairs, baseUrl);
+  const startedAt = Date.now();
+  const exchanges = []; // HAR entries, with --har
+  // --format warc records every exchange as it happens, --format zip packs
+  // the finished mirror; either way the archive sits next to the folder
+  const archive =
+    format === "dir"
+      ? null
+      : `${path.resolve(outDir)}.${format === "warc" ? "warc.gz" : "zip"}`;
+  const warc = format === "warc" ? await openWarc(archive) : null;
+  const hostDelays = new Map(); // host -> ms, from robots.txt Crawl-delay
+  const request = createScheduler({
+    ...options,
+    jar,
+    origin: siteOrigin,
+    hostDelays,
+    onExchange:
+      harFile || warc
+        ? (exchange) => {
+            if (harFile) exchanges.push(harEntry(exchange));
+            warc?.write(exchange);
+          }
+        : null,
+  });
+
+  // What the run produced, resolved by mirror() and reported as it happens
+  const result = { outDir: path.resolve(outDir), pages: [], assets: [] };
+  const failures = new Map(); // url -> { url, phase, error }, first one wins
+  let bytes = 0;
+
+  const emit = (name, data) => {
+    if (name !== "error" || events.listenerCount("error")) {
+      events.emit(name, data);
+    }
+  };
+  const fail = (url, phase, error) => {
+    if (!failures.has(url)) {
+      failures.set(url, { url, phase, error: error.message });
+    }
+    emit("error", { url, phase, error });
+  };
+  // What --report says about each URL: where it was found ({ from, via },
+  // first one wins), how the server answered and why it was skipped
+  const sources = new Map();
+  const responses = new Map(); // url -> { status, contentType }
+  const skipped = new Map(); // url -> reason
+  const discovered = (url, from, via, kind = "asset") => {
+    if (!sources.has(url)) sources.set(url, { from, via });
+    if (from) emit("found", { url, from, kind });
+  };
+
+  // Note a page or asset saved this run, or kept because it is unchanged
+  const report = (kind, entry) => {
+    if (!entry.unchanged) bytes += entry.bytes;
+    result[`${kind}s`].push(entry);
+    emit(kind, entry);
+  };
+
+  // Let hooks.transform have the final say on what gets written. Text comes
+  // as a string, anything binary as a Buffer.
+  const TEXT_TYPES = new Set(
+    "html js mjs css json webmanifest svg xml".split(" ")
+  );
+  const transform = async (content, url, type) => {
+    if (!hooks.transform) return content;
+    const input = TEXT_TYPES.has(type) ? content.toString("utf8") : content;
+    return (await hooks.transform(input, url, type)) ?? input;
+  };
+
+  const captured = (url) => {
+    try {
+      const { origin, protocol, host, hostname } = new URL(url);
+      if (origin === siteOrigin) return true;
+      if (!/^https?:$/.test(protocol)) return false;
+      return (
+        allHosts ||
+        includeHosts.some((pattern) =>
+          pattern.startsWith("*.")
+            ? hostname.endsWith(pattern.slice(1))
+            : pattern === host || pattern === hostname
+        )
+      );
+    } catch {
+      return false;
+    }
+  };
+
   await fs.mkdir(outDir, { recursive: true });
+  const manifest = await openManifest(outDir);
+  // jsdom is only loaded when pages are rendered
+  const { renderPage } = render
+    ? await import("./lib/render.js")
+    : { renderPage: null };
+  const sourceTree = extractSources
+    ? await openSourceTree(extractSources, request)
+    : null;
+  const seen = new Set(); // urls visited this run
+  const changes = { added: [], changed: [], removed: [] };
 
   const assetUrls = new Map(); // url -> type
   const processedAssets = new Set();
-  const sourceMapUrls = new Map(); // original file -> source map url
-  const filePathMap = new Map(); // url -> final file path (for collision handling)
-  const usedPaths = new Set(); // track all used file paths to prevent collisions
+  const filePathMap = new Map(); // asset url -> file path
+  // Every URL keeps the path an earlier run, or the snapshot before this
+  // one, gave it. 404.html belongs to whichever page turns out to be the
+  // 404 page this time.
+  const paths = createPathMap();
+  const earlier = previousSnapshot
+    ? (await openManifest(previousSnapshot)).entries()
+    : manifest.entries();
+  for (const [url, entry] of earlier) {
+    if (entry.path && entry.kind !== "notfound") paths.reserve(url, entry.path);
+  }
+  // Snapshots share one store, so each takes space only for what changed
+  const store = await openStore(snapshots ?? outDir);
 
   const save = async (p, data) => {
     const filePath = path.join(outDir, p);
+    if (snapshots) return store.save(filePath, data);
     await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // The old file may be a link shared with identical assets
+    await fs.rm(filePath, { force: true });
     return fs.writeFile(filePath, data);
   };
 
+  // With --resume, files already complete on disk are not fetched again; with
+  // --update they are revalidated with If-None-Match / If-Modified-Since.
+  // Either way `body` comes back null when the saved copy is still current.
+  const fetchCurrent = async (url, init = {}) => {
+    const entry = manifest.get(url);
+    const current = (resume || update) && (await manifest.intact(entry));
+    if (current && resume) return { res: null, body: null };
+
+    const headers = {};
+    if (current && entry.etag) headers["if-none-match"] = entry.etag;
+    if (current && entry.lastModified) {
+      headers["if-modified-since"] = entry.lastModified;
+    }
+    const { res, body, redirects } = await request(url, { ...init, headers });
+    // A redirected URL answered with the redirect; the final response is
+    // its target's
+    const response = { status: res.status, contentType: mimeType(res) };
+    if (redirects.length) {
+      const last = redirects.at(-1);
+      responses.set(url, { ...response, status: redirects[0].status });
+      responses.set(new URL(last.location, last.url).href, response);
+    } else {
+      responses.set(url, response);
+    }
+    return { res, body: res.status === 304 ? null : body, redirects };
+  };
+
   const download = async (url) => {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
-    return Buffer.from(await res.arrayBuffer());
+    try {
+      const result = await fetchCurrent(url);
+      const { res } = result;
+      if (res && res.status !== 304 && !res.ok) {
+        if (update && [404, 410].includes(res.status)) {
+          if (manifest.get(url)?.status === "complete") {
+            changes.removed.push(url);
+          }
+        }
+        throw Object.assign(new Error(`HTTP ${res.status} ${url}`), {
+          status: res.status,
+        });
+      }
+      return result;
+    } catch (e) {
+      manifest.set(url, {
+        ...manifest.get(url),
+        status: "failed",
+        error: e.message,
+      });
+      throw e;
+    }
+  };
+
+  // Mark a freshly saved file complete and note whether it is new or changed
+  const record = (
+    url,
+    { kind, type, file, res, body, saved, refs, assets, headers }
+  ) => {
+    const previous = manifest.get(url);
+    const hash = createHash("sha256").update(body).digest("hex");
+    if (previous?.hash === undefined) changes.added.push(url);
+    else if (previous.hash !== hash) changes.changed.push(url);
+    manifest.set(url, {
+      kind,
+      type,
+      contentType: mimeType(res) || undefined,
+      path: file,
+      status: "complete",
+      etag: res.headers.get("etag") || undefined,
+      lastModified: res.headers.get("last-modified") || undefined,
+      hash,
+      size: Buffer.byteLength(saved),
+      refs,
+      assets,
+      headers,
+    });
+  };
+
+  // Every asset is fetched at most once per run: the dependency scan and the
+  // download phase share the same body (or the same failure).
+  const bodies = new Map(); // url -> Promise<{ res, body }>
+  const assetRefs = new Map(); // url -> urls found in it by the scan
+  const fetchBody = (url) => {
+    if (!bodies.has(url)) bodies.set(url, download(url));
+    return bodies.get(url);
+  };
+
+  // API responses (--record-api) are kept as fixtures rather than assets
+  const API_DIR = "_api";
+  const fixtures = new Map(); // "GET /path?query" -> { status, headers, body }
+  const isApi = (url) =>
+    recordApi.length > 0 &&
+    captured(url) &&
+    recordApi.some((re) => re.test(new URL(url).pathname));
+  const apiKey = (url) => {
+    const { origin, pathname, search, href } = new URL(url);
+    return origin === siteOrigin ? pathname + search : href;
+  };
+
+  const saveFixture = async (url, type) => {
+    const key = apiKey(url);
+    const name = fixtureName("GET", key);
+    const file = `${API_DIR}/${name}.json`;
+    const { res, body } = await fetchBody(url);
+    seen.add(url);
+    if (!body) {
+      // Unchanged: the recorded fixture still stands
+      const saved = JSON.parse(await fs.readFile(path.join(outDir, file)));
+      const { status, headers } = saved;
+      fixtures.set(`GET ${key}`, { status, headers, body: `${name}.body` });
+      log(`⏭️  ${file} (unchanged)`);
+      const { size } = manifest.get(url);
+      report("asset", { url, file, type, bytes: size, unchanged: true });
+      return;
+    }
+    const fixture = {
+      method: "GET",
+      url: key,
+      status: res.status,
+      headers: fixtureHeaders(res.headers),
+    };
+    const json = JSON.stringify(fixture, null, 2);
+    await save(`${API_DIR}/${name}.body`, body);
+    await save(file, json);
+    fixtures.set(`GET ${key}`, {
+      status: fixture.status,
+      headers: fixture.headers,
+      body: `${name}.body`,
+    });
+    record(url, {
+      kind: "api",
+      type,
+      file,
+      res,
+      body,
+      // The entry describes the .json it points at, so --resume and
+      // --update can tell it is intact
+      saved: json,
+      refs: assetRefs.get(url) || [],
+    });
+    report("asset", { url, file, type, bytes: body.length });
+    log(`  🔌 ${file}`);
+  };
+
+  // What a rendered page gets when it loads `url`. Mirrored URLs share the
+  // body (and the fetch) with the asset phase.
+  const renderFetch = async (url) => {
+    if (!captured(url)) {
+      const { res, body } = await request(url);
+      return { status: res.status, contentType: mimeType(res), body };
+    }
+    let res, body;
+    try {
+      ({ res, body } = await fetchBody(url));
+    } catch (e) {
+      // The page gets the HTTP error, as fetch() would give it
+      if (!e.status) throw e;
+      return { status: e.status, contentType: null, body: Buffer.alloc(0) };
+    }
+    const entry = manifest.get(url);
+    return {
+      status: res?.status === 304 ? 200 : res?.status ?? 200,
+      contentType: (res && mimeType(res)) || entry?.contentType,
+      body: body ?? (await fs.readFile(path.join(outDir, entry.path))),
+    };
   };
 
   const assetPath = (url) => {
@@ -77,138 +763,371 @@ async function broddy(baseUrl, pages, outDir, enableSourceMaps) {
       return filePathMap.get(url);
     }
 
-    const { pathname, search } = new URL(url, baseUrl);
-    let filePath = pathname;
+    const { origin, hostname, port, pathname, search } = new URL(url, baseUrl);
+    // Other hosts get a folder each, out of the way of the site's own paths
+    let filePath =
+      origin === siteOrigin
+        ? pathname
+        : `/_external/${hostname}${port ? `_${port}` : ""}${pathname}`;
     if (filePath.endsWith("/")) {
       filePath += "index.html";
     } else if (!path.extname(filePath)) {
-      filePath += ".html";
+      filePath +=
+        MIME_EXTENSIONS[mimeTypes.get(url)] ||
+        TYPE_EXTENSIONS[assetUrls.get(url)]?.[0] ||
+        ".html";
     }
 
     if (search) {
       // For URLs with query strings, append a hash to the filename
-      let hash = 0;
-      for (let i = 0; i < search.length; i++) {
-        const char = search.charCodeAt(i);
-        hash = (hash << 5) - hash + char;
-        hash = hash & hash;
-      }
-      const ext = path.extname(filePath);
-      if (ext) {
-        const nameWithoutExt = filePath.slice(0, -ext.length);
-        filePath = `${nameWithoutExt}-${Math.abs(hash).toString(36)}${ext}`;
-      } else {
-        filePath = `${filePath}-${Math.abs(hash).toString(36)}`;
-      }
+      filePath = withQueryHash(filePath, search);
     }
 
-    // Handle filename collisions
-    if (usedPaths.has(filePath)) {
-      const ext = path.extname(filePath);
-      const nameWithoutExt = filePath.slice(0, -ext.length);
-      let counter = 1;
-      let newPath = `${nameWithoutExt}-${counter}${ext}`;
-      while (usedPaths.has(newPath)) {
-        counter++;
-        newPath = `${nameWithoutExt}-${counter}${ext}`;
-      }
-      filePath = newPath;
-    }
-
-    usedPaths.add(filePath);
+    filePath = paths.assign(url, filePath);
     filePathMap.set(url, filePath);
     return filePath;
   };
 
-  // Enhanced regex patterns for better capture
-  const PATTERNS = {
-    // Dynamic imports, webpack chunks, lazy loading, etc.
-    JS_IMPORTS: [
-      /import\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
-      /import\s+.*?\s+from\s+[`'"]([^`"']+?)[`"']/g,
-      /require\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
-      /new\s+URL\s*\(\s*[`'"]([^`"']+?)[`"']/g,
-      /__webpack_require__\.p\s*\+\s*[`'"]([^`"']+?)[`"']/g,
-      /__webpack_public_path__\s*\+\s*[`'"]([^`"']+?)[`"']/g,
-      /__framer__url\s*[`'"]([^`"']+?)[`"']/g,
-      /fetch\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
-      /loadScript\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
-      /\.lazy\s*\(\s*\(\)\s*=>\s*import\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
-      /chunk:\s*[`'"]([^`"']+?)[`"']/g,
-    ],
-    // CSS URLs including data URIs exclusion
-    CSS_URLS: [
-      /url\s*\(\s*(['"]?)([^)]+?)\1\s*\)/g,
-      /@import\s+(?:url\s*\(\s*)?['"]([^'"]+?)['"](?:\s*\))?/g,
-      /src:\s*url\s*\(\s*(['"]?)([^)]+?)\1\s*\)/g,
-    ],
-    // Source map patterns
-    SOURCE_MAP: [
-      /\/\/[#@]\s*sourceMappingURL=([^\s]+)/,
-      /\/\*[#@]\s*sourceMappingURL=([^\s*]+)\s*\*\//,
-    ],
-    // JSON config files that might contain asset URLs
-    JSON_ASSETS: [
-      /"(?:src|href|url|image|icon|logo|poster|thumbnail)"\s*:\s*"([^"]+?)"/g,
-    ],
+  // Never worth scanning; these are fetched once, in the download phase
+  const BINARY_EXTENSIONS = new Set(
+    ".png .jpg .jpeg .gif .webp .avif .ico .bmp .woff .woff2 .ttf .otf .eot .mp4 .webm .mov .mp3 .ogg .wav .pdf .zip .wasm".split(
+      " "
+    )
+  );
+
+  // Extension to save under when the URL has none
+  const MIME_EXTENSIONS = {
+    "text/javascript": ".js",
+    "application/javascript": ".js",
+    "text/css": ".css",
+    "application/json": ".json",
+    "application/manifest+json": ".webmanifest",
+    "image/svg+xml": ".svg",
+    "application/xml": ".xml",
+    "text/xml": ".xml",
+    "application/rss+xml": ".xml",
+    "application/atom+xml": ".xml",
+    "image/png": ".png",
+    "image/jpeg": ".jpg",
+    "image/gif": ".gif",
+    "image/webp": ".webp",
+    "image/avif": ".avif",
+    "image/x-icon": ".ico",
+    "font/woff2": ".woff2",
+    "font/woff": ".woff",
+    "font/ttf": ".ttf",
+    "font/otf": ".otf",
+    "video/mp4": ".mp4",
+    "audio/mpeg": ".mp3",
+    "application/wasm": ".wasm",
+    "application/pdf": ".pdf",
+  };
+  const mimeTypes = new Map(); // url -> Content-Type it was served with
+
+  const mimeType = (res) =>
+    (res?.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+
+  const sniffType = (body) => {
+    const head = body.subarray(0, 1024).toString("utf8").trimStart();
+    if (
+      /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(
+        head
+      )
+    ) {
+      return "svg";
+    }
+    if (
+      /^(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)[\s>]/i.test(head)
+    ) {
+      return "html";
+    }
+    if (head.startsWith("<?xml")) return "xml";
+    if (/^[{[]/.test(head)) {
+      try {
+        JSON.parse(body.toString("utf8"));
+        return "json";
+      } catch {
+        /* not json */
+      }
+    }
+    return null;
+  };
+
+  // Classify a fetched asset by its Content-Type, sniffing the body when the
+  // server only says text/plain or octet-stream. `guess` is the type implied
+  // by the URL and breaks ties (a .webmanifest served as application/json).
+  const classify = (res, body, guess) => {
+    const mime = mimeType(res);
+    if (/javascript|ecmascript/.test(mime)) return "js";
+    if (mime === "text/css") return "css";
+    if (mime === "application/manifest+json") return "webmanifest";
+    if (mime === "image/svg+xml") return "svg";
+    if (mime === "text/html" || mime === "application/xhtml+xml") {
+      return "html";
+    }
+    if (mime.endsWith("json")) {
+      return guess === "webmanifest" ? guess : "json";
+    }
+    if (mime.endsWith("xml")) {
+      return sniffType(body) === "svg" ? "svg" : "xml";
+    }
+    const vague = [
+      "text/plain",
+      "application/octet-stream",
+      "binary/octet-stream",
+    ];
+    if (mime && !vague.includes(mime)) return "other";
+    return sniffType(body) || guess;
   };
 
   // Calculate relative path from source file to target file
   const getRelativePath = (fromFilePath, toFilePath) => {
-    // Both paths are relative to outDir
-    const fromDir = path.dirname(fromFilePath);
-    const relative = path.relative(fromDir, toFilePath);
-    // Normalize to forward slashes for web
-    return relative.split(path.sep).join("/");
+    // Both paths are relative to outDir, with or without a leading slash
+    const from = `/${fromFilePath.replace(/^\/+/, "")}`;
+    const to = `/${toFilePath.replace(/^\/+/, "")}`;
+    return path.posix.relative(path.posix.dirname(from), to);
   };
 
-  // Rewrite URLs in file content
-  const rewriteUrls = (content, fileUrl, fileType) => {
-    const baseUrlObj = new URL(baseUrl);
-    const fileUrlObj = new URL(fileUrl, baseUrl);
-    const filePath = assetPath(fileUrl);
+  // How `fromFile` refers to another saved file: relative to it, or from
+  // the server root under --base-path. Files are named after the encoded
+  // URL path, so a "%20" in a name is literal and its "%" must be escaped.
+  const linkTo = (fromFile, toFile) =>
+    (basePath === undefined
+      ? getRelativePath(fromFile, toFile)
+      : basePath + toFile.replace(/^\/+/, "")
+    ).replace(/%/g, "%25");
+
+  // Reference from `file` to a URL we have saved as an asset or (unless
+  // assetsOnly) a page. Relative values resolve against `base` and, in the
+  // site's own files, are only rewritten with --relative or --base-path.
+  // Any #fragment is kept.
+  const localRef = (value, file, base, { assetsOnly = false } = {}) => {
+    value = value?.trim();
+    if (!value || /^(data|blob|javascript|mailto|tel):|^#/i.test(value)) {
+      return null;
+    }
+    const external = new URL(base || baseUrl).origin !== siteOrigin;
+    if (!/^(https?:)?\/\//i.test(value) && !rewriteAll && !external) {
+      return null;
+    }
+    try {
+      const url = new URL(value, base || baseUrl);
+      if (!captured(url.href)) return null;
+      const { hash } = url;
+      url.hash = "";
+      const target =
+        filePathMap.get(value) ??
+        filePathMap.get(url.href) ??
+        (assetsOnly || url.origin !== siteOrigin
+          ? undefined
+          : pageFiles.get(new URL(pageKey(url), baseUrl).href));
+      return target ? linkTo(file, target) + hash : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Reference from `file` to a same-origin "prefix/" such as an import map
+  // mapping, which the mirror keeps at the same path
+  const localDir = (value, file, base) => {
+    if (!value.endsWith("/") || !rewriteAll) return null;
+    try {
+      const url = new URL(value, base);
+      if (url.origin !== new URL(baseUrl).origin) return null;
+      const dir = linkTo(file, url.pathname);
+      return dir.endsWith("/") ? dir : `${dir || "."}/`;
+    } catch {
+      return null;
+    }
+  };
+
+  // Point same-origin references in a parsed page at local copies
+  const rewriteHtml = ($, file, pageUrl) => {
+    const base = new URL($("base[href]").attr("href") || "", pageUrl).href;
+    // Rewritten references are relative to the saved file, not <base>
+    if (rewriteAll) $("base[href]").remove();
+
+    const rewriteAttr = (selector, attr) => {
+      $(selector).each((_, el) => {
+        const local = localRef($(el).attr(attr), file, base);
+        if (local) $(el).attr(attr, local);
+      });
+    };
+
+    rewriteAttr("[href]:not(base)", "href");
+    rewriteAttr("[src]", "src");
+    rewriteAttr("[data]", "data");
+    rewriteAttr("[poster]", "poster");
+    rewriteAttr("[xlink\\:href]", "xlink:href");
+    rewriteAttr(META_ASSETS, "content");
+
+    // Responsive image candidates
+    ["srcset", "imagesrcset"].forEach((attr) => {
+      $(`[${attr}]`).each((_, el) => {
+        const candidates = parseSrcset($(el).attr(attr)).map(
+          ({ url, descriptor }) => ({
+            url: localRef(url, file, base) || url,
+            descriptor,
+          })
+        );
+        $(el).attr(attr, serializeSrcset(candidates));
+      });
+    });
 
-    // Only rewrite if file is from the same origin
-    if (fileUrlObj.origin !== baseUrlObj.origin) {
+    // <meta http-equiv="refresh" content="0; url=...">
+    $('meta[http-equiv="refresh" i]').each((_, el) => {
+      const content = $(el).attr("content") || "";
+      const match = content.match(REFRESH_URL);
+      const local = match && localRef(match[2], file, base);
+      if (local) {
+        $(el).attr("content", content.replace(match[0], `${match[1]}${local}`));
+      }
+    });
+
+    // Import map targets
+    $('script[type="importmap"]').each((_, el) => {
+      try {
+        const map = JSON.parse($(el).html());
+        const remap = (specifiers = {}) => {
+          for (const [name, target] of Object.entries(specifiers)) {
+            specifiers[name] =
+              localRef(target, file, base, { assetsOnly: true }) ||
+              localDir(target, file, base) ||
+              target;
+          }
+        };
+        remap(map.imports);
+        Object.values(map.scopes || {}).forEach(remap);
+        $(el).text(JSON.stringify(map, null, 2));
+      } catch {
+        /* not valid json */
+      }
+    });
+
+    // url() in <style> blocks and style attributes
+    $("style").each((_, el) => {
+      $(el).text(rewriteUrls($(el).html(), base, "css", file));
+    });
+    $("[style]").each((_, el) => {
+      $(el).attr("style", rewriteUrls($(el).attr("style"), base, "css", file));
+    });
+  };
+
+  // Rewrite URLs in file content
+  const rewriteUrls = (
+    content,
+    fileUrl,
+    fileType,
+    filePath = assetPath(fileUrl)
+  ) => {
+    // Files from hosts we don't mirror are left as they are
+    if (!captured(new URL(fileUrl, baseUrl).href)) {
       return content;
     }
 
     let rewritten = content;
 
-    if (fileType === "js" || fileType === "mjs") {
-      // Rewrite import/require statements
+    // Local reference for a URL we have a copy of
+    const toLocal = (url) => localRef(url, filePath, fileUrl);
+    // In code only path-like strings are URLs, and only assets: "/about"
+    // there is a client-side route, not the saved page
+    const codeRef = (url) =>
+      /^(\.{0,2}\/|https?:)/i.test(url)
+        ? localRef(url, filePath, fileUrl, { assetsOnly: true })
+        : null;
+    // fetch() and XHR resolve against the page running the script, not the
+    // script, so their URLs become root-relative paths (under --base-path,
+    // paths below it). Root-relative ones already are, and page-relative
+    // ones depend on the page; both are left alone.
+    const documentRef = (value) => {
+      const isAbsolute = /^([a-z][a-z0-9+.-]*:)?\/\//i.test(value);
+      if (!isAbsolute && (!value.startsWith("/") || basePath === undefined)) {
+        return null;
+      }
+      if (!localRef(value, filePath, fileUrl, { assetsOnly: true })) {
+        return null;
+      }
+      const url = new URL(value, fileUrl);
+      url.hash = "";
+      const target = filePathMap.get(value) ?? filePathMap.get(url.href);
+      return basePath === undefined
+        ? `/${target.replace(/^\/+/, "")}`.replace(/%/g, "%25")
+        : linkTo(filePath, target);
+    };
+    // What a reference must start with to be rewritten: absolute only,
+    // unless every reference is, as in files from other hosts. Code also
+    // needs a path-like prefix so words in strings aren't taken for URLs.
+    const external = new URL(fileUrl, baseUrl).origin !== siteOrigin;
+    const ABSOLUTE = String.raw`[a-zA-Z][a-zA-Z0-9+.-]*:\/\/`;
+    const MARKUP_URL = rewriteAll || external ? "" : ABSOLUTE;
+    const CODE_URL = rewriteAll
+      ? String.raw`(?:[a-zA-Z][a-zA-Z0-9+.-]*:)?\.{0,2}\/`
+      : ABSOLUTE;
+
+    const isScript = fileType === "js" || fileType === "mjs";
+    const refs =
+      isScript && jsParser === "ast" ? findReferences(content) : null;
+
+    if (refs) {
+      // Rewrite exactly the nodes the parser identified. Root-relative
+      // specifiers already work from the mirror root and are left alone
+      // unless every reference is being rewritten. Document-relative ones
+      // resolve against whichever page runs the script, so by default
+      // absolute URLs there become root-relative; --relative makes them
+      // relative to the script, which holds for pages beside it.
+      const replacements = [];
+      for (const ref of refs) {
+        const url = resolveReference(ref, fileUrl);
+        const local =
+          url && localRef(url, filePath, fileUrl, { assetsOnly: true });
+        if (!local) continue;
+        const isAbsolute = /^([a-z][a-z0-9+.-]*:)?\/\//i.test(ref.value);
+        let text;
+        if (ref.context === "document") {
+          text = documentRef(ref.value);
+          if (!text) continue;
+        } else if (ref.context === "literal" || basePath !== undefined) {
+          text = local;
+        } else {
+          if (!isAbsolute && ref.value.startsWith("/") && !rewriteAll) {
+            continue;
+          }
+          text = local.startsWith(".") ? local : `./${local}`;
+        }
+        replacements.push({ ...ref, text: quoteString(text, ref.quote) });
+      }
+      rewritten = replaceRanges(rewritten, replacements);
+    } else if (isScript) {
+      // fetch(url) and xhr.open(method, url), up to the URL's quote
+      const DOCUMENT_CALL = String.raw`(?:\bfetch\s*\(|\.open\s*\(\s*['"\`][A-Za-z]+['"\`]\s*,)\s*`;
+
+      // Rewrite import/require statements and other path-like strings.
+      // A bare "chunk.js" would be a package name to import(), so local
+      // paths always start with ./ or ../
       rewritten = rewritten.replace(
-        /(['"`])([a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^'"`\s]+)\1/g,
+        new RegExp(
+          String.raw`(?<!${DOCUMENT_CALL})(['"\`])(${CODE_URL}[^'"\`\s]+)\1`,
+          "g"
+        ),
         (match, quote, url) => {
-          try {
-            const urlObj = new URL(url);
-            if (urlObj.origin === baseUrlObj.origin && filePathMap.has(url)) {
-              const targetPath = filePathMap.get(url);
-              const relativePath = getRelativePath(filePath, targetPath);
-              return `${quote}${relativePath}${quote}`;
-            }
-          } catch {
-            /* ignore */
-          }
-          return match;
+          const local = codeRef(url);
+          if (!local) return match;
+          const link = /^(\.{0,2}\/|[a-z][a-z0-9+.-]*:)/i.test(local)
+            ? local
+            : `./${local}`;
+          return `${quote}${link}${quote}`;
         }
       );
 
-      // Rewrite fetch() calls
+      // Rewrite fetch() and XHR calls
       rewritten = rewritten.replace(
-        /fetch\s*\(\s*(['"`])([a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^'"`\s]+)\1/g,
-        (match, quote, url) => {
-          try {
-            const urlObj = new URL(url);
-            if (urlObj.origin === baseUrlObj.origin && filePathMap.has(url)) {
-              const targetPath = filePathMap.get(url);
-              const relativePath = getRelativePath(filePath, targetPath);
-              return `fetch(${quote}${relativePath}${quote}`;
-            }
-          } catch {
-            /* ignore */
-          }
-          return match;
+        new RegExp(
+          String.raw`(${DOCUMENT_CALL})(['"\`])((?:${ABSOLUTE}|\/)[^'"\`\s]+)\2`,
+          "g"
+        ),
+        (match, call, quote, url) => {
+          const local = documentRef(url);
+          return local ? `${call}${quote}${local}${quote}` : match;
         }
       );
 
@@ -216,79 +1135,49 @@ async function broddy(baseUrl, pages, outDir, enableSourceMaps) {
       rewritten = rewritten.replace(
         /new\s+URL\s*\(\s*(['"`])([a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^'"`\s]+)\1/g,
         (match, quote, url) => {
-          try {
-            const urlObj = new URL(url);
-            if (urlObj.origin === baseUrlObj.origin && filePathMap.has(url)) {
-              const targetPath = filePathMap.get(url);
-              const relativePath = getRelativePath(filePath, targetPath);
-              return `new URL(${quote}${relativePath}${quote}`;
-            }
-          } catch {
-            /* ignore */
-          }
-          return match;
+          const local = codeRef(url);
+          return local ? `new URL(${quote}${local}${quote}` : match;
         }
       );
     }
 
-    if (fileType === "css") {
-      // Rewrite url() in CSS
-      rewritten = rewritten.replace(
-        /url\s*\(\s*(['"]?)([a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^)]+?)\1\s*\)/g,
-        (match, quote, url) => {
-          try {
-            const cleanUrl = url.trim();
-            const urlObj = new URL(cleanUrl);
-            if (
-              urlObj.origin === baseUrlObj.origin &&
-              filePathMap.has(cleanUrl)
-            ) {
-              const targetPath = filePathMap.get(cleanUrl);
-              const relativePath = getRelativePath(filePath, targetPath);
-              return `url(${quote}${relativePath}${quote})`;
-            }
-          } catch {
-            /* ignore */
-          }
-          return match;
-        }
-      );
+    if (fileType === "css" || fileType === "svg") {
+      // Rewrite url(), image-set() and @import, in an SVG only inside its
+      // <style> blocks and attributes
+      rewritten = rewriteCss(rewritten, ({ url }) => toLocal(url), {
+        markup: fileType === "svg",
+      });
+    }
 
-      // Rewrite @import in CSS
+    if (fileType === "svg" || fileType === "xml") {
+      // Rewrite href, xlink:href and src attributes
       rewritten = rewritten.replace(
-        /@import\s+(?:url\s*\(\s*)?(['"])([a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^'"]+?)\1(?:\s*\))?/g,
-        (match, quote, url) => {
-          try {
-            const urlObj = new URL(url);
-            if (urlObj.origin === baseUrlObj.origin && filePathMap.has(url)) {
-              const targetPath = filePathMap.get(url);
-              const relativePath = getRelativePath(filePath, targetPath);
-              return `@import url(${quote}${relativePath}${quote})`;
-            }
-          } catch {
-            /* ignore */
-          }
-          return match;
+        new RegExp(
+          String.raw`(\s(?:xlink:)?(?:href|src)\s*=\s*)(["'])(${MARKUP_URL}[^"']+?)\2`,
+          "g"
+        ),
+        (match, attr, quote, url) => {
+          const local = toLocal(url);
+          return local ? `${attr}${quote}${local}${quote}` : match;
         }
       );
     }
 
-    if (fileType === "json") {
+    if (fileType === "html") {
+      // HTML fragments get the same treatment as pages
+      const isDocument = /<html[\s>]/i.test(rewritten);
+      const $ = load(rewritten, null, isDocument);
+      rewriteHtml($, filePath, fileUrl);
+      rewritten = $.html();
+    }
+
+    if (fileType === "json" || fileType === "webmanifest") {
       // Rewrite URLs in JSON string values
       rewritten = rewritten.replace(
-        /:\s*"([a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^"]+?)"/g,
+        new RegExp(String.raw`:\s*"(${CODE_URL}[^"]+?)"`, "g"),
         (match, url) => {
-          try {
-            const urlObj = new URL(url);
-            if (urlObj.origin === baseUrlObj.origin && filePathMap.has(url)) {
-              const targetPath = filePathMap.get(url);
-              const relativePath = getRelativePath(filePath, targetPath);
-              return `: "${relativePath}"`;
-            }
-          } catch {
-            /* ignore */
-          }
-          return match;
+          const local = codeRef(url);
+          return local ? `: "${local}"` : match;
         }
       );
     }
@@ -296,432 +1185,1063 @@ async function broddy(baseUrl, pages, outDir, enableSourceMaps) {
     return rewritten;
   };
 
-  // Extract assets from code
-  const extractAssets = (code, type, baseUrl) => {
-    const found = new Set();
-
-    if (type === "js" || type === "mjs") {
-      PATTERNS.JS_IMPORTS.forEach((pattern) => {
-        const matches = [...code.matchAll(pattern)];
-        matches.forEach((match) => {
-          const url = match[1];
-          if (url && (url.startsWith("http") || url.startsWith("//"))) {
-            found.add(url.startsWith("//") ? `https:${url}` : url);
-          } else if (url && !url.startsWith("data:") && !url.startsWith("#")) {
-            // Only resolve if it looks like a real path (has / or . or common extensions)
-            if (/^[./]|\.js|\.mjs|\.css|\.json|\.wasm|\.map/.test(url)) {
-              try {
-                const resolved = new URL(url, baseUrl).href;
-                found.add(resolved);
-              } catch {
-                /* ignore */
-              }
-            }
-          }
-        });
-      });
+  const { extractAssets, extractHtmlAssets } = createExtractor({
+    jsParser,
+    sourceMaps: enableSourceMaps,
+    log,
+  });
 
-      // Check for source maps
-      if (enableSourceMaps) {
-        PATTERNS.SOURCE_MAP.forEach((pattern) => {
-          const match = code.match(pattern);
-          if (match && match[1]) {
-            const mapUrl = match[1];
-            if (mapUrl.startsWith("http")) {
-              found.add(mapUrl);
-            } else {
-              try {
-                const resolved = new URL(mapUrl, baseUrl).href;
-                found.add(resolved);
-                sourceMapUrls.set(baseUrl, resolved);
-              } catch {
-                /* ignore */
-              }
-            }
-          }
-        });
-      }
-    }
+  // Pages are keyed by path, plus the query string with --keep-query
+  const pageKey = (url) =>
+    keepQuery ? url.pathname + url.search : url.pathname;
 
-    if (type === "css") {
-      PATTERNS.CSS_URLS.forEach((pattern) => {
-        const matches = [...code.matchAll(pattern)];
-        matches.forEach((match) => {
-          const url = match[2] || match[1];
-          if (url && !url.startsWith("data:") && !url.startsWith("#")) {
-            if (url.startsWith("http") || url.startsWith("//")) {
-              found.add(url.startsWith("//") ? `https:${url}` : url);
-            } else {
-              try {
-                const resolved = new URL(url, baseUrl).href;
-                found.add(resolved);
-              } catch {
-                /* ignore */
-              }
-            }
-          }
-        });
-      });
-    }
+  const pagePath = (page) => {
+    const { href, pathname, search } = new URL(page, baseUrl);
+    let file = pathname.slice(1);
+    if (file === "" || file.endsWith("/")) file += "index.html";
+    else if (!path.extname(file)) file += ".html";
+    return paths.assign(href, search ? withQueryHash(file, search) : file);
+  };
 
-    if (type === "json") {
-      PATTERNS.JSON_ASSETS.forEach((pattern) => {
-        const matches = [...code.matchAll(pattern)];
-        matches.forEach((match) => {
-          const url = match[1];
-          if (url && url.startsWith("http")) {
-            found.add(url);
-          }
-        });
-      });
+  // Links the crawl leaves alone on purpose. The manifest keeps them, so
+  // verify doesn't take them for missing files; a copy from an earlier run,
+  // or one saved this run for another reason, stays as it is.
+  const noteSkipped = (url, reason, kind = "page") => {
+    if (manifest.get(url)?.status !== "complete") {
+      manifest.set(url, { kind, status: "skipped", reason });
     }
-
-    return found;
   };
 
-  // No URL rewriting needed - assets are stored at their original paths
-
-  /* 1. Download pages */
-  for (const page of pages) {
-    const url = new URL(page, baseUrl).href;
-    console.log("📄 Page:", url);
-    const res = await fetch(url);
-    let html = await res.text();
-    let file = page.slice(1);
-    if (page === "/") {
-      file = "index.html";
-    } else if (page.endsWith("/")) {
-      file = file + "index.html";
-    } else if (!path.extname(file)) {
-      file = file + ".html";
-    }
+  // Decide whether a discovered link is in scope for the crawl
+  const inScope = (url) => {
+    if (url.origin !== new URL(baseUrl).origin) return false;
+    if (!url.pathname.startsWith(scope)) return false;
+    if (exclude.some((re) => re.test(url.pathname))) return false;
+    return !include.length || include.some((re) => re.test(url.pathname));
+  };
+  const shouldFollow = (url) => {
+    const allowed = inScope(url);
+    if (!hooks.shouldFollow) return allowed;
+    return hooks.shouldFollow(url.href, allowed) ?? allowed;
+  };
 
-    // Rewrite URLs in HTML using Cheerio
-    const $ = load(html);
-    const baseUrlObj = new URL(baseUrl);
+  const collectLinks = ($, pageUrl) => {
+    const links = new Set();
+    $("a[href], area[href]").each((_, el) => {
+      try {
+        links.add(new URL($(el).attr("href"), pageUrl).href);
+      } catch {
+        /* ignore */
+      }
+    });
+    $('meta[http-equiv="refresh" i]').each((_, el) => {
+      const match = ($(el).attr("content") || "").match(REFRESH_URL);
+      try {
+        if (match) links.add(new URL(match[2], pageUrl).href);
+      } catch {
+        /* ignore */
+      }
+    });
+    return [...links];
+  };
 
-    // Rewrite href attributes
-    $("[href]").each((_, el) => {
-      const href = $(el).attr("href");
-      if (href && href.startsWith("http")) {
-        try {
-          const hrefUrl = new URL(href);
-          if (hrefUrl.origin === baseUrlObj.origin && filePathMap.has(href)) {
-            const targetPath = filePathMap.get(href);
-            const relativePath = getRelativePath(file, targetPath);
-            $(el).attr("href", relativePath);
-          }
-        } catch {
-          /* ignore */
+  // `via` says how the links were found: "link", "sitemap", "feed", ...
+  const followLinks = (links, depth, from, via = "link") => {
+    for (const link of links) {
+      const url = new URL(link);
+      const ext = path.extname(url.pathname).toLowerCase();
+      const isPage = !ext || ext === ".html" || ext === ".htm";
+      if (!shouldFollow(url)) {
+        // Other sites' pages are theirs; this site's are skipped
+        if (url.origin === siteOrigin) {
+          url.hash = "";
+          noteSkipped(
+            isPage ? new URL(pageKey(url), baseUrl).href : url.href,
+            "excluded",
+            isPage ? "page" : "asset"
+          );
         }
+        continue;
       }
-    });
 
-    // Rewrite src attributes
-    $("[src]").each((_, el) => {
-      const src = $(el).attr("src");
-      if (src && src.startsWith("http")) {
-        try {
-          const srcUrl = new URL(src);
-          if (srcUrl.origin === baseUrlObj.origin && filePathMap.has(src)) {
-            const targetPath = filePathMap.get(src);
-            const relativePath = getRelativePath(file, targetPath);
-            $(el).attr("src", relativePath);
-          }
-        } catch {
-          /* ignore */
+      if (!isPage) {
+        // Linked files (pdfs, archives, images) are assets, not pages
+        url.hash = "";
+        if (!assetUrls.has(url.href)) {
+          assetUrls.set(url.href, assetType(url.href));
+          discovered(url.href, from, via);
         }
+        continue;
       }
+
+      const page = pageKey(url);
+      if (seenPages.has(page)) continue;
+      seenPages.add(page);
+      frontier.push({ page, depth });
+      discovered(new URL(page, baseUrl).href, from, via, "page");
+    }
+  };
+
+  /* 1. Crawl pages, following links up to maxDepth */
+  const frontier = pages.map((page) => ({
+    page: pageKey(new URL(page, baseUrl)),
+    depth: 0,
+  }));
+  const seenPages = new Set(frontier.map(({ page }) => page));
+  frontier.forEach(({ page }) =>
+    discovered(new URL(page, baseUrl).href, null, "start", "page")
+  );
+  const savedPages = [];
+  const pageFiles = new Map(); // page url -> file, for every page kept this run
+  const pageDocs = new Map(); // page url -> parsed page fetched this run
+
+  let pagesStarted = 0;
+  let pagesDone = 0;
+  const crawled = () =>
+    emit("progress", {
+      phase: "crawl",
+      done: ++pagesDone,
+      total: Math.min(maxPages, pagesStarted + frontier.length),
     });
+  const nextPage = () => {
+    while (pagesStarted < maxPages && frontier.length) {
+      const next = frontier.shift();
+      if (disallowed(next.page)) {
+        log(`🤖 Disallowed by robots.txt: ${next.page}`);
+        const url = new URL(next.page, baseUrl).href;
+        skipped.set(url, "robots.txt");
+        noteSkipped(url, "robots.txt");
+        continue;
+      }
+      pagesStarted++;
+      return next;
+    }
+    return undefined;
+  };
 
-    // Rewrite data attributes
-    $("[data]").each((_, el) => {
-      const data = $(el).attr("data");
-      if (data && data.startsWith("http")) {
-        try {
-          const dataUrl = new URL(data);
-          if (dataUrl.origin === baseUrlObj.origin && filePathMap.has(data)) {
-            const targetPath = filePathMap.get(data);
-            const relativePath = getRelativePath(file, targetPath);
-            $(el).attr("data", relativePath);
+  // robots.txt: rules and Crawl-delay for the site's pages, plus the
+  // sitemaps it lists
+  const robotsUrl = new URL("/robots.txt", baseUrl).href;
+  let robots = null;
+  if (!ignoreRobots || sitemaps) {
+    try {
+      const { res, body } = await request(robotsUrl);
+      if (res.ok) robots = parseRobots(body.toString("utf8"), robotsUrl);
+    } catch (e) {
+      warn(`  ⚠️  Failed to fetch ${robotsUrl}: ${e.message}`);
+    }
+  }
+  if (robots?.crawlDelay && !ignoreRobots) {
+    hostDelays.set(new URL(baseUrl).host, robots.crawlDelay * 1000);
+    log(`🤖 Crawl-delay ${robots.crawlDelay}s from robots.txt`);
+  }
+  const disallowed = (page) =>
+    !ignoreRobots && robots !== null && !robots.allowed(page);
+
+  // Every page a sitemap lists starts the crawl like an explicit page
+  if (sitemaps) {
+    const guessed = new URL("/sitemap.xml", baseUrl).href;
+    const queue = [...new Set([...(robots?.sitemaps || []), guessed])];
+    const read = new Set(queue);
+    while (queue.length) {
+      const url = queue.shift();
+      try {
+        const { res, body } = await request(url);
+        if (!res.ok) {
+          // /sitemap.xml is only a guess; a missing one is no news
+          if (url === guessed && res.status === 404) continue;
+          throw new Error(`HTTP ${res.status}`);
+        }
+        const found = parseSitemap(body, url);
+        for (const next of found.sitemaps) {
+          if (!read.has(next)) {
+            read.add(next);
+            queue.push(next);
           }
-        } catch {
-          /* ignore */
         }
+        followLinks(found.pages, 0, url, "sitemap");
+        log(
+          `🧭 Sitemap ${url}: ${found.pages.length} pages${
+            found.sitemaps.length ? `, ${found.sitemaps.length} sitemaps` : ""
+          }`
+        );
+      } catch (e) {
+        warn(`  ⚠️  Failed to read sitemap ${url}: ${e.message}`);
       }
-    });
-
-    html = $.html();
-    await save(file, html);
-    console.log(`✅ ${file}`);
+    }
   }
 
-  /* 2. Initial scan of HTML files for assets */
-  const htmlFiles = await fs
-    .readdir(outDir, { recursive: true })
-    .then((list) =>
-      list.filter((n) => n.endsWith(".html")).map((n) => path.join(outDir, n))
-    );
-
-  for (const file of htmlFiles) {
-    const html = await fs.readFile(file, "utf8");
-    const $ = load(html);
-
-    // Collect all asset URLs from HTML
-    $(
-      "link[href], script[src], img[src], source[src], video[src], audio[src], embed[src], object[data], iframe[src]"
-    ).each((_, el) => {
-      ["href", "src", "data"].forEach((attr) => {
-        const val = $(el).attr(attr);
-        if (val && !val.startsWith("data:") && !val.startsWith("#")) {
-          let url;
-          try {
-            if (val.startsWith("http")) {
-              url = val;
-            } else if (val.startsWith("//")) {
-              url = `https:${val}`;
-            } else if (val.startsWith("/")) {
-              // Relative URL from root
-              url = new URL(val, baseUrl).href;
-            } else {
-              // Relative URL from current page
-              url = new URL(val, baseUrl).href;
-            }
+  // Items of the RSS / Atom feeds a page links to start the crawl too
+  const feedsRead = new Set();
+  const readFeeds = async ($, pageUrl) => {
+    const hrefs = $('link[rel~="alternate"][href]')
+      .filter((_, el) =>
+        FEED_TYPES.includes(($(el).attr("type") || "").toLowerCase())
+      )
+      .map((_, el) => $(el).attr("href"))
+      .get();
+    for (const href of hrefs) {
+      let url;
+      try {
+        url = new URL(href, pageUrl).href;
+      } catch {
+        continue;
+      }
+      if (feedsRead.has(url)) continue;
+      feedsRead.add(url);
+      try {
+        const { res, body } = await request(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const items = parseFeed(body, url);
+        followLinks(items, 0, url, "feed");
+        log(`  📰 Feed ${url}: ${items.length} items`);
+      } catch (e) {
+        warn(`  ⚠️  Failed to read feed ${url}: ${e.message}`);
+      }
+    }
+  };
 
-            const ext = path.extname(new URL(url).pathname).toLowerCase();
-            let type = "other";
-            if ([".js", ".mjs"].includes(ext)) type = "js";
-            else if ([".css"].includes(ext)) type = "css";
-            else if ([".json"].includes(ext)) type = "json";
-            assetUrls.set(url, type);
-          } catch {
-            // Ignore invalid URLs
-          }
-        }
+  await drain(nextPage, concurrency, async (next) => {
+    let { page } = next;
+    const { depth } = next;
+    let url = new URL(page, baseUrl).href;
+    let file = pagePath(page);
+    log("📄 Page:", url);
+    let res, body, redirects;
+    try {
+      ({
+        res,
+        body,
+        redirects = [],
+      } = await fetchCurrent(url, {
+        offsite: false,
+      }));
+      if (res && res.status >= 400) {
+        throw Object.assign(new Error(`HTTP ${res.status} ${url}`), {
+          status: res.status,
+        });
+      }
+    } catch (e) {
+      const previous = manifest.get(url);
+      // Gone upstream: report it removed and drop the stale copy
+      const gone =
+        update &&
+        [404, 410].includes(e.status) &&
+        previous?.status === "complete";
+      if (gone) {
+        changes.removed.push(url);
+        await fs.rm(path.join(outDir, previous.path), { force: true });
+      }
+      manifest.set(url, {
+        kind: "page",
+        ...previous,
+        status: gone ? "removed" : "failed",
+        code: e.status,
+        error: e.message,
       });
-    });
-
-    // Also check inline scripts for asset references
-    $("script:not([src])").each((_, el) => {
-      const scriptContent = $(el).html();
-      if (scriptContent) {
-        const found = extractAssets(scriptContent, "js", baseUrl);
-        found.forEach((url) => assetUrls.set(url, "js"));
+      // An expected removal, listed with the update's changes
+      if (!gone) {
+        warn(`  ⚠️  Failed to fetch ${url}: ${e.message}`);
+        fail(url, "page", e);
       }
-    });
+      crawled();
+      return;
+    }
+    seen.add(url);
+
+    if (!body && manifest.get(url).kind === "redirect") {
+      // Unchanged redirect; its target is crawled in its own right
+      log(`⏭️  ${file} (unchanged redirect)`);
+      followLinks(
+        [new URL(manifest.get(url).location, url).href],
+        depth,
+        url,
+        "redirect"
+      );
+      crawled();
+      return;
+    }
 
-    // Check inline styles
-    $("style").each((_, el) => {
-      const styleContent = $(el).html();
-      if (styleContent) {
-        const found = extractAssets(styleContent, "css", baseUrl);
-        found.forEach((url) => assetUrls.set(url, "css"));
+    // Redirected: the content belongs where it ended up. The old path gets
+    // a stub pointing there, and a rule in the host configs.
+    if (redirects.length) {
+      const { status } = redirects[0];
+      const target = new URL(redirects.at(-1).location);
+      const local = target.origin === siteOrigin;
+      const targetPage = local ? pageKey(target) : null;
+      if (targetPage !== page) {
+        const location = local ? target.pathname + target.search : target.href;
+        const stub = redirectStub(
+          local ? linkTo(file, pagePath(targetPage)) : target.href
+        );
+        await save(file, stub);
+        manifest.set(url, {
+          kind: "redirect",
+          path: file,
+          status: "complete",
+          size: Buffer.byteLength(stub),
+          code: status,
+          location,
+        });
+        log(`  ↪️  ${status} → ${target.href}`);
+
+        // Already crawled or queued under its own URL, or off-site
+        if (!local || seenPages.has(targetPage)) {
+          if (local) pageFiles.set(url, pagePath(targetPage));
+          crawled();
+          return;
+        }
+        seenPages.add(targetPage);
+        pageFiles.set(url, pagePath(targetPage));
+        discovered(new URL(targetPage, baseUrl).href, url, "redirect", "page");
+        page = targetPage;
+        url = new URL(targetPage, baseUrl).href;
+        file = pagePath(targetPage);
+        seen.add(url);
       }
-    });
+    }
+    savedPages.push(page);
+    pageFiles.set(url, file);
+
+    if (!body) {
+      // The saved copy is current; keep crawling from the links it had
+      log(`⏭️  ${file} (unchanged)`);
+      const { size } = manifest.get(url);
+      report("page", { url, file, bytes: size, unchanged: true });
+      crawled();
+      if (depth < maxDepth) {
+        followLinks(manifest.get(url).refs, depth + 1, url);
+      }
+      return;
+    }
 
-    // Extract URLs from all data attributes (for tracking pixels, beacons, etc.)
-    $("*").each((_, el) => {
-      const attrs = el.attribs || {};
-      Object.values(attrs).forEach((val) => {
-        if (typeof val === "string") {
-          // Look for URLs in data attributes
-          const urlMatches = val.match(/https?:\/\/[^\s"'<>{}|\\^`\]]+/g);
-          if (urlMatches) {
-            urlMatches.forEach((url) => {
-              try {
-                const cleanUrl = url.replace(/[,;]$/, ""); // Remove trailing punctuation
-                new URL(cleanUrl); // Validate
-                const ext = path
-                  .extname(new URL(cleanUrl).pathname)
-                  .toLowerCase();
-                let type = "other";
-                if ([".js", ".mjs"].includes(ext)) type = "js";
-                else if ([".css"].includes(ext)) type = "css";
-                else if ([".json"].includes(ext)) type = "json";
-                assetUrls.set(cleanUrl, type);
-              } catch {
-                /* ignore invalid URLs */
-              }
-            });
-          }
+    // Parsed now, rewritten in step 6 once every asset has a local path
+    const $ = load(body.toString("utf8"));
+    const pageUrl = res.url || url;
+
+    const contentType = res.headers.get("content-type") || "text/html";
+    const isHtml = contentType.includes("html");
+    const links = isHtml ? collectLinks($, pageUrl) : [];
+
+    // Client-rendered content, and the links in it, only exist after the
+    // page's scripts have run
+    let rendered = null;
+    if (render && isHtml) {
+      try {
+        const result = await renderPage(pageUrl, body.toString("utf8"), {
+          fetchResource: renderFetch,
+          timeout,
+        });
+        rendered = { $: load(result.html), requests: result.requests };
+        for (const link of collectLinks(rendered.$, pageUrl)) {
+          if (!links.includes(link)) links.push(link);
         }
+        log(
+          `  🖥️  Rendered: ${result.requests.length} requests${
+            result.errors ? `, ${result.errors} script errors` : ""
+          }`
+        );
+      } catch (e) {
+        warn(`  ⚠️  Failed to render ${url}: ${e.message}`);
+        emit("error", { url, phase: "render", error: e });
+      }
+    }
+    if (depth < maxDepth) followLinks(links, depth + 1, url);
+    if (feeds && isHtml) await readFeeds($, pageUrl);
+
+    pageDocs.set(url, { file, $, res, body, links, pageUrl, rendered });
+    crawled();
+  });
+
+  // What the site answers for a path that doesn't exist: its 404 page, kept
+  // as 404.html for static hosts, or the app itself when it routes on the
+  // client
+  const probeUrl = new URL("/broddy-not-found", baseUrl).href;
+  let spa = false;
+  try {
+    const { res, body, redirects } = await request(probeUrl);
+    seen.add(probeUrl);
+    const isHtml = mimeType(res) === "text/html";
+    if (res.ok && isHtml && !redirects.length) {
+      spa = true;
+    } else if (
+      res.status === 404 &&
+      isHtml &&
+      ![...pageFiles.values()].includes("404.html")
+    ) {
+      pageDocs.set(probeUrl, {
+        kind: "notfound",
+        file: "404.html",
+        $: load(body.toString("utf8")),
+        res,
+        body,
+        links: [],
+        pageUrl: probeUrl,
+        rendered: null,
       });
-    });
+    }
+  } catch (e) {
+    warn(`  ⚠️  Failed to fetch ${probeUrl}: ${e.message}`);
+  }
+
+  /* 2. Initial scan of pages for assets */
+  const pageAssets = new Map(); // page url -> [[asset url, type]]
+  const renderedAssets = new Set(); // only the running page asked for these
+  for (const [url, { $, pageUrl, rendered }] of pageDocs) {
+    const base = new URL($("base[href]").attr("href") || "", pageUrl).href;
+    const found = extractHtmlAssets($, base);
+    if (rendered) {
+      // What the running page added to the DOM or requested
+      const add = (asset, type) => {
+        if (found.has(asset)) return;
+        found.set(asset, type);
+        renderedAssets.add(asset);
+      };
+      for (const [asset, type] of extractHtmlAssets(rendered.$, base)) {
+        add(asset, type);
+      }
+      rendered.requests.forEach((asset) => add(asset, assetType(asset)));
+    }
+    pageAssets.set(url, [...found]);
+  }
+  for (const url of pageFiles.keys()) {
+    // Pages kept from an earlier run contribute what they referenced then
+    if (!pageAssets.has(url)) {
+      pageAssets.set(url, manifest.get(url)?.assets || []);
+    }
+  }
+  for (const [page, found] of pageAssets) {
+    for (const [url, type] of found) {
+      if (!captured(url)) continue;
+      assetUrls.set(url, type);
+      discovered(url, page, renderedAssets.has(url) ? "render" : "html");
+    }
   }
 
   /* 3. Recursively scan assets for more dependencies */
-  console.log("🔍 Scanning for dependencies...");
+  log("🔍 Scanning for dependencies...");
   const toProcess = [...assetUrls.keys()];
 
-  while (toProcess.length > 0) {
-    const url = toProcess.shift();
-    if (processedAssets.has(url)) continue;
-    processedAssets.add(url);
+  await drain(
+    () => toProcess.shift(),
+    concurrency,
+    async (url) => {
+      if (processedAssets.has(url)) return;
+      processedAssets.add(url);
+      emit("progress", {
+        phase: "scan",
+        done: processedAssets.size,
+        total: assetUrls.size,
+      });
 
-    const type = assetUrls.get(url) || "other";
+      const guess = assetUrls.get(url) || "other";
+      // Nothing to extract from binaries; they are fetched once in step 5
+      const ext = path.extname(new URL(url).pathname).toLowerCase();
+      if (BINARY_EXTENSIONS.has(ext)) return;
 
-    try {
-      const content = await download(url);
-      const text = content.toString("utf8");
-
-      // Extract more assets from this file
-      const found = extractAssets(text, type, url);
-      for (const foundUrl of found) {
-        if (!assetUrls.has(foundUrl) && !processedAssets.has(foundUrl)) {
-          const ext = path.extname(new URL(foundUrl).pathname).toLowerCase();
-          let foundType = "other";
-          if ([".js", ".mjs"].includes(ext)) foundType = "js";
-          else if ([".css"].includes(ext)) foundType = "css";
-          else if ([".json"].includes(ext)) foundType = "json";
-
-          assetUrls.set(foundUrl, foundType);
-          toProcess.push(foundUrl);
-          console.log(`  → Found: ${foundUrl}`);
+      try {
+        const { res, body } = await fetchBody(url);
+
+        // The response decides what this really is
+        const entry = manifest.get(url);
+        const type = body ? classify(res, body, guess) : entry.type || guess;
+        assetUrls.set(url, type);
+        mimeTypes.set(url, body ? mimeType(res) : entry.contentType);
+
+        // Extract more assets from this file, or reuse what was found in
+        // the saved copy last time
+        const hints = new Map();
+        const found = body
+          ? [...extractAssets(body.toString("utf8"), type, url, hints)]
+          : entry.refs || [];
+        assetRefs.set(url, found);
+        for (const foundUrl of found) {
+          if (!captured(foundUrl)) continue;
+          if (!assetUrls.has(foundUrl) && !processedAssets.has(foundUrl)) {
+            assetUrls.set(foundUrl, hints.get(foundUrl) ?? assetType(foundUrl));
+            toProcess.push(foundUrl);
+            log(`  → Found: ${foundUrl}`);
+            discovered(foundUrl, url, type);
+          }
+        }
+      } catch (e) {
+        // A build manifest the site doesn't deploy, as most don't
+        if (isProbe(url) && [404, 410].includes(e.status)) {
+          skipped.set(url, "not deployed");
+          return;
         }
+        warn(`  ⚠️  Failed to scan ${url}: ${e.message}`);
+        fail(url, "scan", e);
       }
-    } catch (e) {
-      console.warn(`  ⚠️  Failed to scan ${url}: ${e.message}`);
     }
-  }
+  );
 
   /* 4. Pre-compute all asset paths to detect collisions early */
-  for (const url of assetUrls.keys()) {
+  // In URL order, so which of two colliding URLs keeps the plain name
+  // doesn't depend on which finished downloading first
+  for (const url of [...assetUrls.keys()].sort()) {
     const { pathname } = new URL(url, baseUrl);
-    // Skip root paths and HTML pages
+    // Skip root paths, HTML pages, recorded API calls and missing probes
     if (pathname === "/" || pathname.endsWith(".html")) continue;
-    // Pre-compute path to register it in usedPaths
+    if (isApi(url) || skipped.has(url)) continue;
     assetPath(url);
   }
 
+  // Write a bundle's original sources and report how that went
+  const extractFrom = async (bundleUrl, mapUrl, mapData) => {
+    const { written, missing } = await sourceTree.extract(
+      bundleUrl,
+      mapUrl,
+      mapData
+    );
+    log(
+      `    📂 Extracted ${written} sources${
+        missing ? ` (${missing} unavailable)` : ""
+      }`
+    );
+  };
+
   /* 5. Download all assets */
-  console.log(`📦 Downloading ${assetUrls.size} assets...`);
+  log(`📦 Downloading ${assetUrls.size} assets...`);
   const downloadedAssets = new Map();
-
-  for (const [url, type] of assetUrls) {
-    try {
-      const { pathname } = new URL(url, baseUrl);
-      // Skip root paths and HTML pages
-      if (pathname === "/" || pathname.endsWith(".html")) continue;
-
-      const filePath = assetPath(url);
-      const fullPath = path.join(outDir, filePath);
-
-      // Check if file already exists
+  const workers = new Map(); // service worker url -> file, to rewrite
+
+  const downloads = [...assetUrls];
+  let downloadsDone = 0;
+  await drain(
+    () => downloads.shift(),
+    concurrency,
+    async ([url, type]) => {
+      emit("progress", {
+        phase: "download",
+        done: ++downloadsDone,
+        total: assetUrls.size,
+      });
       try {
-        await fs.stat(fullPath);
-        console.log(`⏭️  ${path.basename(filePath)} (cached)`);
-        continue;
-      } catch {
-        // File doesn't exist, proceed with download
-      }
+        const { pathname } = new URL(url, baseUrl);
+        // Skip root paths, HTML pages and missing probes
+        if (pathname === "/" || pathname.endsWith(".html")) return;
+        if (skipped.has(url)) return;
+        if (isApi(url)) {
+          await saveFixture(url, type);
+          return;
+        }
 
-      const content = await download(url);
-      let processedContent = content;
+        const filePath = assetPath(url);
+        const { res, body: content } = await fetchBody(url);
+        seen.add(url);
+        if (!content) {
+          log(`⏭️  ${path.basename(filePath)} (unchanged)`);
+          const { size } = manifest.get(url);
+          report("asset", {
+            url,
+            file: filePath,
+            type,
+            bytes: size,
+            unchanged: true,
+          });
+          return;
+        }
+        let processedContent = content;
 
-      // Rewrite URLs in the downloaded content
-      try {
-        const contentStr = content.toString("utf8");
-        const rewritten = rewriteUrls(contentStr, url, type);
-        processedContent = Buffer.from(rewritten);
-      } catch (e) {
-        // If rewriting fails, use original content
-        console.warn(`    ⚠️  Failed to rewrite URLs: ${e.message}`);
-      }
-
-      // If source maps are enabled and this is a JS file, check for source map
-      if (enableSourceMaps && (type === "js" || type === "mjs")) {
-        const text = processedContent.toString("utf8");
-
-        // Look for source map reference
-        let sourceMapUrl = null;
-        for (const pattern of PATTERNS.SOURCE_MAP) {
-          const match = text.match(pattern);
-          if (match && match[1]) {
-            const mapRef = match[1];
-            if (mapRef.startsWith("http")) {
-              sourceMapUrl = mapRef;
-            } else if (!mapRef.startsWith("data:")) {
-              sourceMapUrl = new URL(mapRef, url).href;
-            }
-            break;
-          }
+        // Rewrite URLs in the downloaded content
+        try {
+          const contentStr = content.toString("utf8");
+          const rewritten = rewriteUrls(contentStr, url, type);
+          processedContent = Buffer.from(rewritten);
+        } catch (e) {
+          // If rewriting fails, use original content
+          warn(`    ⚠️  Failed to rewrite URLs: ${e.message}`);
+          emit("error", { url, phase: "rewrite", error: e });
         }
 
-        if (sourceMapUrl && !sourceMapUrl.startsWith("data:")) {
-          console.log(
-            `  📍 Found source map for ${path.basename(
-              filePath
-            )}: ${sourceMapUrl}`
-          );
-          try {
-            const mapPath = `${assetPath(url)}.map`;
-            const mapFullPath = path.join(outDir, mapPath);
+        // If source maps are enabled and this is a JS or CSS file, check for
+        // a source map
+        if (
+          enableSourceMaps &&
+          (type === "js" || type === "mjs" || type === "css")
+        ) {
+          const text = processedContent.toString("utf8");
+
+          // Look for source map reference
+          let sourceMapUrl = null;
+          for (const pattern of PATTERNS.SOURCE_MAP) {
+            const match = text.match(pattern);
+            if (match && match[1]) {
+              const mapRef = match[1];
+              if (mapRef.startsWith("http") || mapRef.startsWith("data:")) {
+                sourceMapUrl = mapRef;
+              } else {
+                sourceMapUrl = new URL(mapRef, url).href;
+              }
+              break;
+            }
+          }
 
-            // Check if source map already exists
-            let mapContent;
+          // Sources of an inline map, which stays in the file as it is
+          if (sourceMapUrl?.startsWith("data:") && sourceTree) {
             try {
-              mapContent = await fs.readFile(mapFullPath);
-            } catch {
-              // Map doesn't exist, download it
-              mapContent = await download(sourceMapUrl);
-              await save(mapPath, mapContent);
+              const data = parseDataUrl(sourceMapUrl);
+              if (!data) throw new Error("unreadable data: URL");
+              await extractFrom(url, url, JSON.parse(data.toString("utf8")));
+            } catch (e) {
+              warn(`    ⚠️  Failed to process inline source map: ${e.message}`);
+              emit("error", { url, phase: "sourcemap", error: e });
             }
+          }
 
-            const mapData = JSON.parse(mapContent.toString("utf8"));
-
-            // Update the source map reference in the JS file
-            const mapFileName = path.basename(mapPath);
-            processedContent = processedContent
-              .replace(
-                /\/\/[#@]\s*sourceMappingURL=[^\s]+/,
-                `//# sourceMappingURL=${mapFileName}`
-              )
-              .replace(
-                /\/\*[#@]\s*sourceMappingURL=[^\s*]+\s*\*\//,
-                `/*# sourceMappingURL=${mapFileName} */`
+          if (sourceMapUrl && !sourceMapUrl.startsWith("data:")) {
+            log(
+              `  📍 Found source map for ${path.basename(
+                filePath
+              )}: ${sourceMapUrl}`
+            );
+            discovered(sourceMapUrl, url, "sourcemap");
+            try {
+              const mapPath = `${assetPath(url)}.map`;
+
+              // Reuse the saved map when it is still current
+              const map = await fetchBody(sourceMapUrl);
+              const mapContent =
+                map.body ??
+                (await fs.readFile(path.join(outDir, assetPath(sourceMapUrl))));
+              if (map.body) await save(mapPath, map.body);
+
+              const mapData = JSON.parse(mapContent.toString("utf8"));
+
+              // Update the source map reference in the JS file
+              const mapFileName = path.basename(mapPath);
+              processedContent = Buffer.from(
+                text
+                  .replace(
+                    /\/\/[#@]\s*sourceMappingURL=[^\s]+/,
+                    `//# sourceMappingURL=${mapFileName}`
+                  )
+                  .replace(
+                    /\/\*[#@]\s*sourceMappingURL=[^\s*]+\s*\*\//,
+                    `/*# sourceMappingURL=${mapFileName} */`
+                  )
               );
 
-            // If the source map contains embedded sources, we're done
-            // Otherwise, we could download the source files too (optional enhancement)
-            if (mapData.sources && mapData.sourcesContent) {
-              console.log(
-                `    ✅ Source map includes ${mapData.sources.length} embedded sources`
-              );
+              if (sourceTree) {
+                await extractFrom(url, sourceMapUrl, mapData);
+              } else if (mapData.sources && mapData.sourcesContent) {
+                log(
+                  `    ✅ Source map includes ${mapData.sources.length} embedded sources`
+                );
+              }
+            } catch (e) {
+              warn(`    ⚠️  Failed to process source map: ${e.message}`);
+              emit("error", {
+                url: sourceMapUrl,
+                phase: "sourcemap",
+                error: e,
+              });
             }
+          }
+        }
 
-            downloadedAssets.set(url, Buffer.from(processedContent));
-          } catch (e) {
-            console.warn(`    ⚠️  Failed to process source map: ${e.message}`);
-            downloadedAssets.set(url, content);
+        if (
+          serviceWorker !== "keep" &&
+          (type === "js" || type === "mjs") &&
+          isServiceWorker(processedContent.toString("utf8"))
+        ) {
+          if (serviceWorker === "strip") {
+            processedContent = Buffer.from(STRIPPED_WORKER);
+            log(`  🧹 Service worker stripped: ${filePath}`);
+          } else {
+            workers.set(url, filePath);
           }
-        } else {
-          downloadedAssets.set(url, content);
         }
+
+        processedContent = await transform(processedContent, url, type);
+        await store.save(path.join(outDir, filePath), processedContent);
+        record(url, {
+          kind: "asset",
+          type,
+          file: filePath,
+          res,
+          body: content,
+          saved: processedContent,
+          refs: assetRefs.get(url) || [],
+        });
+        downloadedAssets.set(url, processedContent);
+        report("asset", {
+          url,
+          file: filePath,
+          type,
+          bytes: Buffer.byteLength(processedContent),
+        });
+
+        log(`  ✅ ${path.basename(filePath)}`);
+      } catch (e) {
+        warn(`  ⚠️  Failed to download ${url}: ${e.message}`);
+        fail(url, "download", e);
+      }
+    }
+  );
+
+  // The replay shim goes first in <head>, ahead of the app's own scripts
+  const replayJs = `${API_DIR}/replay.js`;
+  if (fixtures.size) {
+    const sorted = Object.fromEntries([...fixtures].sort());
+    await save(replayJs, replayScript(siteOrigin, sorted));
+    log(`🔌 ${fixtures.size} API fixtures, replayed by ${replayJs}`);
+  }
+  const injectReplay = ($, file) => {
+    if (!fixtures.size) return;
+    $("head").prepend(`<script src="${linkTo(file, replayJs)}"></script>`);
+  };
+
+  // Saved bytes of an asset, or null when there are none
+  const savedAsset = async (url) => {
+    if (downloadedAssets.has(url)) return downloadedAssets.get(url);
+    try {
+      return await fs.readFile(path.join(outDir, filePathMap.get(url)));
+    } catch {
+      return null;
+    }
+  };
+
+  // integrity="..." on scripts and stylesheets now served from the mirror
+  // describes the live file, not the rewritten copy. Run before rewriteHtml,
+  // while the attributes still hold the original URLs.
+  const fixIntegrity = async ($, pageUrl) => {
+    const base = new URL($("base[href]").attr("href") || "", pageUrl).href;
+    const pinned = $("script[src][integrity], link[href][integrity]");
+    for (const el of pinned.toArray()) {
+      let url;
+      try {
+        url = new URL($(el).attr("src") ?? $(el).attr("href"), base).href;
+      } catch {
+        continue;
+      }
+      // Files left on the live site keep their hash
+      if (!filePathMap.has(url)) continue;
+      const content = await savedAsset(url);
+      if (content) {
+        $(el).attr(
+          "integrity",
+          recomputeIntegrity($(el).attr("integrity"), content)
+        );
       } else {
-        downloadedAssets.set(url, content);
+        $(el).removeAttr("integrity");
       }
+    }
+  };
 
-      console.log(`  ✅ ${path.basename(filePath)}`);
-    } catch (e) {
-      console.warn(`  ⚠️  Failed to download ${url}: ${e.message}`);
+  // <meta http-equiv="Content-Security-Policy"> and the recorded header,
+  // once the page's inline blocks are final
+  const fixCsp = ($, headers) => {
+    const hashes = inlineHashes($);
+    $('meta[http-equiv="content-security-policy" i][content]').each((_, el) => {
+      $(el).attr("content", adjustCsp($(el).attr("content"), hashes));
+    });
+    for (const name of Object.keys(headers || {})) {
+      if (name.startsWith("content-security-policy")) {
+        headers[name] = adjustCsp(headers[name], hashes);
+      }
     }
+    return headers;
+  };
+
+  /* 6. Rewrite pages now that every asset has a local path */
+  let pagesWritten = 0;
+  for (const [url, page] of pageDocs) {
+    const {
+      kind = "page",
+      file,
+      $,
+      res,
+      body,
+      links,
+      pageUrl,
+      rendered,
+    } = page;
+    emit("progress", {
+      phase: "rewrite",
+      done: ++pagesWritten,
+      total: pageDocs.size,
+    });
+    if (prerender && rendered) {
+      const snapshot = file.replace(/(\.html?)?$/, ".prerendered.html");
+      await fixIntegrity(rendered.$, pageUrl);
+      rewriteHtml(rendered.$, snapshot, pageUrl);
+      injectReplay(rendered.$, snapshot);
+      fixCsp(rendered.$);
+      await save(snapshot, await transform(rendered.$.html(), url, "html"));
+      log(`✅ ${snapshot}`);
+    }
+
+    await fixIntegrity($, pageUrl);
+    rewriteHtml($, file, pageUrl);
+    injectReplay($, file);
+    const headers = fixCsp($, pickHeaders(res.headers));
+    const html = await transform($.html(), url, "html");
+    await save(file, html);
+    record(url, {
+      kind,
+      type: "html",
+      file,
+      res,
+      body,
+      saved: html,
+      refs: links,
+      assets: pageAssets.get(url),
+      headers,
+    });
+    report("page", {
+      url,
+      file,
+      status: res.status,
+      bytes: Buffer.byteLength(html),
+    });
+    log(`✅ ${file}`);
   }
 
-  /* 6. Save assets and update references in all files */
-  for (const [url, content] of downloadedAssets) {
-    await save(assetPath(url), content);
+  // Precache lists of service workers (--service-worker rewrite) name the
+  // local copies, with revisions of what was saved so stale caches refresh.
+  // Entries the mirror has no file for are dropped; one failed precache
+  // request would stop the worker installing.
+  for (const [url, file] of workers) {
+    const code = (await fs.readFile(path.join(outDir, file))).toString("utf8");
+    let kept = 0;
+    let dropped = 0;
+    const entries = [];
+    for (const entry of findPrecache(code)) {
+      let target;
+      try {
+        const entryUrl = new URL(entry.url, url);
+        target =
+          filePathMap.get(entryUrl.href) ??
+          pageFiles.get(new URL(pageKey(entryUrl), baseUrl).href) ??
+          // "/index.html" for the page crawled as "/", and the like
+          (entryUrl.origin === siteOrigin
+            ? decodeURIComponent(entryUrl.pathname)
+            : undefined);
+      } catch {
+        /* not a URL */
+      }
+      let content = null;
+      try {
+        content = target && (await fs.readFile(path.join(outDir, target)));
+      } catch {
+        /* never saved */
+      }
+      entries.push(content && { target, content });
+    }
+    let index = 0;
+    const rewritten = rewritePrecache(code, (entry) => {
+      const found = entries[index++];
+      if (!found) {
+        dropped++;
+        return null;
+      }
+      kept++;
+      return {
+        url: linkTo(file, found.target),
+        revision: createHash("sha256")
+          .update(found.content)
+          .digest("hex")
+          .slice(0, 32),
+        integrity:
+          entry.integrity && recomputeIntegrity(entry.integrity, found.content),
+      };
+    });
+    await store.save(path.join(outDir, file), rewritten);
+    manifest.set(url, {
+      ...manifest.get(url),
+      size: Buffer.byteLength(rewritten),
+    });
+    log(
+      `  🛠️  Service worker ${file}: ${kept} precache entries rewritten${
+        dropped ? `, ${dropped} dropped` : ""
+      }`
+    );
   }
 
-  /* 7. No URL rewriting needed - assets are at their original paths */
+  /* 7. Work out what disappeared upstream and persist the manifest */
+  if (update) {
+    for (const url of manifest.previous) {
+      const entry = manifest.get(url);
+      if (seen.has(url) || entry.status !== "complete") continue;
+      changes.removed.push(url);
+      manifest.set(url, { ...entry, status: "removed" });
+    }
+  }
 
-  console.log(`\n🎉 Done! Mirror saved to: ${path.resolve(outDir)}`);
-  console.log(
-    `📊 Stats: ${pages.length} pages, ${downloadedAssets.size} assets`
+  // Redirects, the 404 page and response headers, for static hosts
+  const root = basePath ?? "/";
+  const hostPath = (p) => root + p.replace(/^\/+/, "");
+  const redirectRules = [];
+  const pageHeaders = [];
+  let notFound = null;
+  for (const [url, entry] of manifest.entries()) {
+    if (entry.status !== "complete") continue;
+    const { pathname } = new URL(url);
+    if (entry.kind === "redirect") {
+      redirectRules.push({
+        from: hostPath(pathname),
+        to: entry.location.startsWith("/")
+          ? hostPath(entry.location)
+          : entry.location,
+        status: entry.code,
+      });
+    } else if (entry.kind === "page") {
+      pageHeaders.push({ path: hostPath(pathname), headers: entry.headers });
+    }
+    if (entry.kind === "notfound" || entry.path === "404.html") {
+      notFound = hostPath("404.html");
+    }
+  }
+  const configs = hostConfigs({
+    redirects: redirectRules,
+    pages: pageHeaders,
+    notFound,
+    spa,
+    root,
+  });
+  for (const [name, content] of Object.entries(configs)) {
+    await save(name, content);
+  }
+  if (Object.keys(configs).length) {
+    log(`🏠 Host configs: ${Object.keys(configs).join(", ")}`);
+  }
+
+  await manifest.close();
+  await sourceTree?.close();
+  await jar.save();
+  await store.prune();
+  const deduped = store.stats();
+  if (deduped.files) {
+    log(
+      `🔗 Deduplicated ${deduped.files} identical files (${formatBytes(
+        deduped.bytes
+      )} saved)`
+    );
+  }
+
+  if (singleFile) {
+    const singleDir = `${path.resolve(outDir)}-single`;
+    const types = new Map();
+    const pageFiles = [];
+    for (const [, entry] of manifest.entries()) {
+      if (entry.status !== "complete" || !entry.path) continue;
+      const file = entry.path.replace(/^\/+/, "");
+      if (entry.contentType) types.set(file, entry.contentType);
+      if (["page", "notfound"].includes(entry.kind)) pageFiles.push(file);
+    }
+    const inliner = createInliner(outDir, { root, types });
+    for (const file of pageFiles) {
+      const target = path.join(singleDir, file);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, await inliner.inline(file));
+    }
+    log(`📄 Single-file pages: ${pageFiles.length} in ${singleDir}`);
+  }
+  if (warc) {
+    const records = await warc.close();
+    log(`📦 WARC: ${records} records in ${archive}`);
+  }
+  if (format === "zip") {
+    const { files, size } = await zipDirectory(outDir, archive, {
+      skip: [".broddy"],
+    });
+    log(`📦 Zip: ${files} files, ${formatBytes(size)} in ${archive}`);
+  }
+
+  const unchanged = new Set(
+    [...result.pages, ...result.assets]
+      .filter((entry) => entry.unchanged)
+      .map(({ url }) => url)
+  );
+  if (reportFile) {
+    const urls = new Set([...sources.keys(), ...seen, ...failures.keys()]);
+    // No file to show for these
+    const gone = (outcome) => outcome === "failed" || outcome === "removed";
+    const entries = [...urls].sort().map((url) => {
+      const entry = manifest.get(url);
+      const failure = failures.get(url);
+      const response = responses.get(url);
+      let outcome = "pending"; // found, but never fetched (--max-pages)
+      if (failure) outcome = "failed";
+      else if (skipped.has(url)) outcome = "skipped";
+      else if (entry?.kind === "redirect") outcome = "redirected";
+      else if (unchanged.has(url)) outcome = "unchanged";
+      else if (entry?.status === "complete") outcome = "saved";
+      else if (entry?.status === "removed") outcome = "removed";
+      return {
+        url,
+        kind: entry?.kind ?? (assetUrls.has(url) ? "asset" : "page"),
+        ...sources.get(url),
+        result: outcome,
+        status: response?.status ?? entry?.code,
+        contentType: response?.contentType || entry?.contentType,
+        path: gone(outcome) ? undefined : entry?.path,
+        size: gone(outcome) ? undefined : entry?.size,
+        location: entry?.location,
+        reason: failure?.error ?? skipped.get(url),
+      };
+    });
+    await writeJson(reportFile, {
+      url: baseUrl,
+      outDir: result.outDir,
+      started: new Date(startedAt).toISOString(),
+      finished: new Date().toISOString(),
+      summary: {
+        pages: result.pages.length,
+        assets: result.assets.length,
+        unchanged: unchanged.size,
+        failed: failures.size,
+        skipped: skipped.size,
+        bytes,
+      },
+      urls: entries,
+    });
+    log(`📋 Report: ${path.resolve(reportFile)}`);
+  }
+  if (harFile) {
+    await writeJson(harFile, await harLog(exchanges));
+    log(`📋 HAR: ${exchanges.length} requests in ${path.resolve(harFile)}`);
+  }
+
+  log(`\n🎉 Done! Mirror saved to: ${path.resolve(outDir)}`);
+  log(
+    `📊 Stats: ${savedPages.length} pages, ${downloadedAssets.size} assets${
+      unchanged.size ? `, ${unchanged.size} unchanged` : ""
+    }${failures.size ? `, ${failures.size} failed` : ""}${
+      skipped.size ? `, ${skipped.size} skipped` : ""
+    }, ${formatBytes(bytes)} in ${((Date.now() - startedAt) / 1000).toFixed(
+      1
+    )}s`
   );
   if (enableSourceMaps) {
     const sourceMapsFound = [...downloadedAssets.keys()].filter((url) =>
       url.endsWith(".map")
     ).length;
-    console.log(`🗺️  Source maps processed: ${sourceMapsFound}`);
+    log(`🗺️  Source maps processed: ${sourceMapsFound}`);
   }
+  if (sourceTree) {
+    log(
+      `📂 Original sources: ${sourceTree.files()} files in ${path.resolve(
+        extractSources
+      )}`
+    );
+  }
+  if (update) {
+    const { added, changed, removed } = changes;
+    log(
+      `🔄 Update: ${changed.length} changed, ${added.length} added, ${removed.length} removed`
+    );
+    changed.forEach((url) => log(`  ~ ${url}`));
+    added.forEach((url) => log(`  + ${url}`));
+    removed.forEach((url) => log(`  - ${url}`));
+  }
+
+  return {
+    ...result,
+    ...(archive && { archive }),
+    failures: [...failures.values()],
+    bytes,
+  };
 }
@@ -0,0 +1,258 @@
+/**
+ * Archive output (--format warc, --format zip). The WARC/1.1 file gets a
+ * request and a response record for every exchange as it happens, each
+ * record gzipped on its own as archival tools expect. The zip packs the
+ * finished mirror, ready to upload to a static host.
+ */
+
+import { createHash, randomUUID } from "crypto";
+import { createWriteStream, promises as fs } from "fs";
+import path from "path";
+import { deflateRawSync, gzipSync } from "zlib";
+import { listFiles } from "./files.js";
+import { REDACTED } from "./report.js";
+
+// node-fetch hands over decoded bodies, so these no longer describe them
+const TRANSFER_HEADERS = new Set([
+  "content-encoding",
+  "content-length",
+  "transfer-encoding",
+]);
+
+// RFC 4648 base32, as WARC digests are conventionally written
+function base32(buffer) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits) out += alphabet[(value << (5 - bits)) & 31];
+  return out.padEnd(Math.ceil(out.length / 8) * 8, "=");
+}
+
+const sha1 = (data) =>
+  `sha1:${base32(createHash("sha1").update(data).digest())}`;
+
+function httpHeaders(lines) {
+  return Buffer.from(
+    `${lines.map(([name, value]) => `${name}: ${value}`).join("\r\n")}\r\n\r\n`
+  );
+}
+
+/**
+ * Open a WARC file to append exchanges to. write() takes what the scheduler
+ * reports for a request ({ url, headers, started, res, body }); failed
+ * requests have no response and are left out. close() resolves with the
+ * number of records once the file is flushed.
+ */
+export async function openWarc(file) {
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  const pkg = JSON.parse(
+    await fs.readFile(new URL("../package.json", import.meta.url), "utf8")
+  );
+  const out = createWriteStream(file);
+  let failed = null;
+  out.on("error", (e) => (failed ??= e));
+  let records = 0;
+
+  const CRLF2 = Buffer.from("\r\n\r\n");
+  const record = (type, fields, block) => {
+    const head = Object.entries({
+      "WARC-Type": type,
+      "WARC-Record-ID": `<urn:uuid:${randomUUID()}>`,
+      ...fields,
+      "Content-Length": block.length,
+    }).map(([name, value]) => `${name}: ${value}`);
+    out.write(
+      gzipSync(
+        Buffer.concat([
+          Buffer.from(`WARC/1.1\r\n${head.join("\r\n")}\r\n\r\n`),
+          block,
+          CRLF2,
+        ])
+      )
+    );
+    records++;
+  };
+
+  record(
+    "warcinfo",
+    {
+      "WARC-Date": new Date().toISOString(),
+      "WARC-Filename": path.basename(file),
+      "Content-Type": "application/warc-fields",
+    },
+    Buffer.from(
+      `software: broddy/${pkg.version}\r\nformat: WARC File Format 1.1\r\n`
+    )
+  );
+
+  return {
+    write({ url, headers = {}, started, res, body }) {
+      if (!res) return;
+      const date = new Date(started).toISOString();
+      const { host, pathname, search } = new URL(url);
+      const payload = body ?? Buffer.alloc(0);
+
+      const response = Buffer.concat([
+        Buffer.from(`HTTP/1.1 ${res.status} ${res.statusText}\r\n`),
+        httpHeaders([
+          ...Object.entries(res.headers.raw())
+            .filter(([name]) => !TRANSFER_HEADERS.has(name))
+            .flatMap(([name, values]) => values.map((value) => [name, value])),
+          ["content-length", payload.length],
+        ]),
+        payload,
+      ]);
+      const responseId = `<urn:uuid:${randomUUID()}>`;
+      record(
+        "response",
+        {
+          "WARC-Record-ID": responseId,
+          "WARC-Date": date,
+          "WARC-Target-URI": url,
+          "Content-Type": "application/http;msgtype=response",
+          "WARC-Block-Digest": sha1(response),
+          "WARC-Payload-Digest": sha1(payload),
+        },
+        response
+      );
+
+      const request = Buffer.concat([
+        Buffer.from(`GET ${pathname}${search} HTTP/1.1\r\n`),
+        httpHeaders([
+          ["host", host],
+          ...Object.entries(headers).map(([name, value]) => [
+            name,
+            REDACTED.has(name.toLowerCase()) ? "[redacted]" : value,
+          ]),
+        ]),
+      ]);
+      record(
+        "request",
+        {
+          "WARC-Date": date,
+          "WARC-Target-URI": url,
+          "WARC-Concurrent-To": responseId,
+          "Content-Type": "application/http;msgtype=request",
+          "WARC-Block-Digest": sha1(request),
+        },
+        request
+      );
+    },
+    async close() {
+      await new Promise((resolve) => out.end(resolve));
+      if (failed) throw failed;
+      return records;
+    },
+  };
+}
+
+// CRC-32 as zip wants it
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// File modification time in MS-DOS format, as zip stores it
+function dosTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      (date.getSeconds() >> 1),
+    date:
+      ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * Zip the files in `dir` into `file`, leaving out the paths in `skip`.
+ * Files are deflated unless that doesn't make them smaller. Returns
+ * { files, size }. Archives past 4 GB or 65535 files would need zip64,
+ * which isn't written.
+ */
+export async function zipDirectory(dir, file, { skip = [] } = {}) {
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  const names = await listFiles(dir, skip);
+  if (names.length > 0xffff) {
+    throw new Error(`Too many files to zip (${names.length})`);
+  }
+  const out = await fs.open(file, "w");
+  const central = [];
+  let offset = 0;
+  const write = async (buffer) => {
+    if (offset + buffer.length > 0xffffffff) {
+      throw new Error(`Zip archive over 4 GB: ${file}`);
+    }
+    await out.write(buffer);
+    offset += buffer.length;
+  };
+
+  try {
+    for (const name of names) {
+      const full = path.join(dir, name);
+      const data = await fs.readFile(full);
+      const { mtime } = await fs.stat(full);
+      const deflated = deflateRawSync(data);
+      const stored = deflated.length >= data.length;
+      const body = stored ? data : deflated;
+      const nameBytes = Buffer.from(name);
+      const { time, date } = dosTime(mtime);
+      const crc = crc32(data);
+
+      // Fields shared by the local and the central header
+      const common = Buffer.alloc(26);
+      common.writeUInt16LE(20, 0); // version needed: 2.0
+      common.writeUInt16LE(0x0800, 2); // UTF-8 names
+      common.writeUInt16LE(stored ? 0 : 8, 4);
+      common.writeUInt16LE(time, 6);
+      common.writeUInt16LE(date, 8);
+      common.writeUInt32LE(crc, 10);
+      common.writeUInt32LE(body.length, 14);
+      common.writeUInt32LE(data.length, 18);
+      common.writeUInt16LE(nameBytes.length, 22);
+      common.writeUInt16LE(0, 24); // no extra field
+
+      const local = Buffer.alloc(4);
+      local.writeUInt32LE(0x04034b50, 0);
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(0x031e, 4); // made by: unix, 3.0
+      common.copy(header, 6);
+      header.writeUInt32LE((0o100644 << 16) >>> 0, 38); // -rw-r--r--
+      header.writeUInt32LE(offset, 42);
+      central.push(header, nameBytes);
+
+      await write(Buffer.concat([local, common, nameBytes, body]));
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(names.length, 8);
+    end.writeUInt16LE(names.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    await write(Buffer.concat([directory, end]));
+  } finally {
+    await out.close();
+  }
+  return { files: names.length, size: offset };
+}
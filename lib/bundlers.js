@@ -0,0 +1,299 @@
+/**
+ * Bundler-aware chunk discovery. Runtimes build lazy chunk URLs from maps
+ * and manifests that no single string literal contains, so each plugin here
+ * knows one bundler's encoding and returns every chunk URL it can load.
+ *
+ * A plugin is { name, test(code, fileUrl, type), find(code, fileUrl) } where
+ * find() returns absolute URLs, plus optionally probe(url), true for the
+ * URLs find() guesses at (a build manifest only some sites deploy) rather
+ * than read from the code.
+ */
+
+import { ancestor, full } from "acorn-walk";
+import { parseScript } from "./js-ast.js";
+
+const CHUNK_FILE = /\.(m?js|css)(\?.*)?$/;
+
+const strings = (source) =>
+  [...source.matchAll(/"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'/g)].map(
+    (m) => m[1] ?? m[2]
+  );
+
+const resolveAll = (files, base) => {
+  const urls = [];
+  for (const file of files) {
+    try {
+      urls.push(new URL(file, base).href);
+    } catch {
+      /* ignore */
+    }
+  }
+  return urls;
+};
+
+/* ---------- webpack ---------- */
+
+const propertyKey = (prop) => {
+  if (prop.type !== "Property" || prop.computed) return undefined;
+  if (prop.key.type === "Identifier") return prop.key.name;
+  if (prop.key.type === "Literal") return String(prop.key.value);
+  return undefined;
+};
+
+const lookupObject = (node, param) =>
+  node.type === "MemberExpression" &&
+  node.computed &&
+  node.object.type === "ObjectExpression" &&
+  node.property.type === "Identifier" &&
+  node.property.name === param
+    ? node.object
+    : null;
+
+// Value of a chunk filename expression for one chunk id. `publicPath`
+// stands in for any `<require>.p` in the expression.
+function evaluateChunk(node, param, id, publicPath) {
+  switch (node.type) {
+    case "Literal":
+      return typeof node.value === "string" || typeof node.value === "number"
+        ? String(node.value)
+        : undefined;
+    case "Identifier":
+      return node.name === param ? id : undefined;
+    case "MemberExpression": {
+      const object = lookupObject(node, param);
+      if (object) {
+        const prop = object.properties.find((p) => propertyKey(p) === id);
+        return prop ? evaluateChunk(prop.value, param, id, publicPath) : "";
+      }
+      if (!node.computed && node.property.name === "p") return publicPath;
+      return undefined;
+    }
+    case "LogicalExpression": {
+      if (node.operator !== "||") return undefined;
+      const left = evaluateChunk(node.left, param, id, publicPath);
+      return left || evaluateChunk(node.right, param, id, publicPath);
+    }
+    case "ConditionalExpression": {
+      const { test } = node;
+      if (
+        test.type !== "BinaryExpression" ||
+        !/^[!=]==?$/.test(test.operator)
+      ) {
+        return undefined;
+      }
+      const left = evaluateChunk(test.left, param, id, publicPath);
+      const right = evaluateChunk(test.right, param, id, publicPath);
+      if (left === undefined || right === undefined) return undefined;
+      const equal = left === right;
+      const branch = test.operator.startsWith("=") === equal;
+      return evaluateChunk(
+        branch ? node.consequent : node.alternate,
+        param,
+        id,
+        publicPath
+      );
+    }
+    case "BinaryExpression": {
+      if (node.operator !== "+") return undefined;
+      const left = evaluateChunk(node.left, param, id, publicPath);
+      const right = evaluateChunk(node.right, param, id, publicPath);
+      return left === undefined || right === undefined
+        ? undefined
+        : left + right;
+    }
+    default:
+      return undefined;
+  }
+}
+
+// Where `<require>.p` points. A literal is used as is; the "auto" public
+// path (script directory plus an optional "../" suffix) is resolved from the
+// runtime's own URL.
+function findPublicPath(ast, code, fileUrl) {
+  // Only trust a computed `.p` next to webpack's auto public path code
+  const auto = code.includes("Automatic publicPath is not supported");
+  let publicPath;
+  full(ast, (node) => {
+    if (publicPath !== undefined || node.type !== "AssignmentExpression") {
+      return;
+    }
+    const { left, right } = node;
+    if (left.type !== "MemberExpression" || left.computed) return;
+    if (left.property.name !== "p" || left.object.type !== "Identifier") {
+      return;
+    }
+    if (right.type === "Literal" && typeof right.value === "string") {
+      if (right.value === "" || /^(\/|https?:)/.test(right.value)) {
+        publicPath = new URL(right.value || "/", fileUrl).href;
+      }
+    } else if (!auto) {
+      return;
+    } else if (right.type === "Identifier") {
+      publicPath = new URL(".", fileUrl).href;
+    } else if (
+      right.type === "BinaryExpression" &&
+      right.left.type === "Identifier" &&
+      right.right.type === "Literal"
+    ) {
+      publicPath = new URL(String(right.right.value), fileUrl).href;
+    }
+  });
+  return publicPath ?? new URL("/", fileUrl).href;
+}
+
+// Outermost "+" chains in a function that index an object literal by the
+// function's parameter: the shape of every webpack chunk filename helper
+// (__webpack_require__.u, miniCssF, webpack 4's jsonpScriptSrc)
+function chunkExpressions(ast) {
+  const chains = new Map(); // chain node -> { param, ids }
+  const CHAIN = /^(BinaryExpression|LogicalExpression|ConditionalExpression)$/;
+  const FUNCTION =
+    /^(FunctionExpression|FunctionDeclaration|ArrowFunctionExpression)$/;
+
+  ancestor(ast, {
+    MemberExpression(node, ancestors) {
+      if (!node.computed || node.property.type !== "Identifier") return;
+      const object = lookupObject(node, node.property.name);
+      if (!object) return;
+      const param = node.property.name;
+
+      let i = ancestors.length - 2;
+      let chain = null;
+      while (i >= 0 && CHAIN.test(ancestors[i].type)) chain = ancestors[i--];
+      if (!chain || chain.type !== "BinaryExpression") return;
+      while (i >= 0 && !FUNCTION.test(ancestors[i].type)) i--;
+      const fn = ancestors[i];
+      if (
+        !fn?.params.some((p) => p.type === "Identifier" && p.name === param)
+      ) {
+        return;
+      }
+
+      if (!chains.has(chain)) chains.set(chain, { param, ids: new Set() });
+      object.properties.forEach((prop) => {
+        const key = propertyKey(prop);
+        if (key !== undefined) chains.get(chain).ids.add(key);
+      });
+    },
+  });
+
+  return [...chains].map(([expression, rest]) => ({ expression, ...rest }));
+}
+
+export const webpack = {
+  name: "webpack",
+  test: (code, fileUrl, type) =>
+    type === "js" && /\}\s*\[\s*[\w$]+\s*\]/.test(code),
+  find(code, fileUrl) {
+    const ast = parseScript(code);
+    if (!ast) return [];
+    const publicPath = findPublicPath(ast, code, fileUrl);
+    const files = new Set();
+    for (const { expression, param, ids } of chunkExpressions(ast)) {
+      for (const id of ids) {
+        const file = evaluateChunk(expression, param, id, "");
+        if (file && CHUNK_FILE.test(file)) files.add(file);
+      }
+    }
+    return resolveAll(files, publicPath);
+  },
+};
+
+/* ---------- vite ---------- */
+
+export const vite = {
+  name: "vite",
+  probe: (url) => new URL(url).pathname.endsWith("/.vite/manifest.json"),
+  test: (code, fileUrl, type) =>
+    (type === "js" &&
+      /__vitePreload|__vite__mapDeps|\.f\s*\|\|\s*\(\s*[\w$]+\.f\s*=\s*\[/.test(
+        code
+      )) ||
+    (type === "json" &&
+      new URL(fileUrl).pathname.endsWith("/.vite/manifest.json")),
+  find(code, fileUrl) {
+    const root = new URL("/", fileUrl).href;
+
+    if (fileUrl.endsWith(".json")) {
+      // build.manifest: { "src/main.ts": { file, css, assets, ... } }
+      let manifest;
+      try {
+        manifest = JSON.parse(code);
+      } catch {
+        return [];
+      }
+      const files = Object.values(manifest).flatMap((chunk) => [
+        chunk.file,
+        ...(chunk.css || []),
+        ...(chunk.assets || []),
+      ]);
+      return resolveAll(files.filter(Boolean), root);
+    }
+
+    const files = new Set();
+    // Vite 5: const __vite__mapDeps=(i,m=__vite__mapDeps,d=(m.f||(m.f=[...])))
+    for (const m of code.matchAll(
+      /\.f\s*\|\|\s*\(\s*[\w$]+\.f\s*=\s*\[([^\]]*)\]/g
+    )) {
+      strings(m[1]).forEach((file) => files.add(file));
+    }
+    // Vite 2-4: __vitePreload(() => import("./x.js"), ["assets/x.js", ...])
+    for (const m of code.matchAll(
+      /__vitePreload\s*\(\s*\(\)\s*=>\s*import\s*\([^)]*\)\s*,\s*\[([^\]]*)\]/g
+    )) {
+      strings(m[1]).forEach((file) => files.add(file));
+    }
+    const urls = resolveAll(
+      [...files].filter((file) => CHUNK_FILE.test(file)),
+      root
+    );
+    // The build manifest lists every chunk, visited or not, when deployed
+    urls.push(new URL("/.vite/manifest.json", root).href);
+    return urls;
+  },
+};
+
+/* ---------- next.js ---------- */
+
+export const next = {
+  name: "next",
+  test: (code, fileUrl, type) =>
+    type === "js" && /self\.__(BUILD|SSG)_MANIFEST\s*=/.test(code),
+  find(code, fileUrl) {
+    const { pathname } = new URL(fileUrl);
+    const nextRoot = pathname.includes("/_next/")
+      ? new URL(pathname.slice(0, pathname.indexOf("/_next/") + 7), fileUrl)
+      : new URL("/_next/", fileUrl);
+
+    if (/self\.__BUILD_MANIFEST\s*=/.test(code)) {
+      // Page -> chunk lists, possibly through a minified IIFE's arguments;
+      // every chunk is a "static/..." string somewhere in the file
+      const files = strings(code).filter(
+        (s) => s.startsWith("static/") && CHUNK_FILE.test(s)
+      );
+      return resolveAll(new Set(files), nextRoot.href);
+    }
+
+    // self.__SSG_MANIFEST=new Set(["/blog","/blog/[slug]"]): statically
+    // generated routes have a JSON payload under /_next/data/<buildId>/
+    const buildId = pathname.match(
+      /\/_next\/static\/([^/]+)\/_ssgManifest\.js$/
+    );
+    if (!buildId) return [];
+    const routes = strings(code).filter(
+      (route) => route.startsWith("/") && !route.includes("[")
+    );
+    return resolveAll(
+      routes.map(
+        (route) => `data/${buildId[1]}${route === "/" ? "/index" : route}.json`
+      ),
+      nextRoot.href
+    );
+  },
+};
+
+export const BUNDLER_PLUGINS = [webpack, vite, next];
+
+// Whether `url` is only a guess of some plugin's, so its absence is no error
+export const isProbe = (url) =>
+  BUNDLER_PLUGINS.some((plugin) => plugin.probe?.(url));
@@ -0,0 +1,198 @@
+/**
+ * Cookie jar for the crawl (--cookie, --cookie-jar). Holds cookies from the
+ * command line, from a Netscape cookies.txt file (what curl and browser
+ * export extensions write) and from every Set-Cookie the site sends, and
+ * answers the Cookie header for each request by domain, path and scheme.
+ */
+
+import { promises as fs } from "fs";
+
+// Does `host` fall under a cookie's `domain`? Host-only cookies need an
+// exact match.
+function domainMatch(host, domain, hostOnly) {
+  if (host === domain) return true;
+  return !hostOnly && host.endsWith(`.${domain}`);
+}
+
+// Does `pathname` fall under a cookie's `path`?
+function pathMatch(pathname, path) {
+  if (pathname === path) return true;
+  if (!pathname.startsWith(path)) return false;
+  return path.endsWith("/") || pathname[path.length] === "/";
+}
+
+// Path a cookie gets when Set-Cookie names none: the request's directory
+function defaultPath(pathname) {
+  const slash = pathname.lastIndexOf("/");
+  return slash > 0 ? pathname.slice(0, slash) : "/";
+}
+
+/**
+ * Cookie jar, loaded from the Netscape cookies file at `file` when there is
+ * one. save() writes it back there with whatever the crawl collected.
+ */
+export async function openCookieJar(file) {
+  // "domain;path;name" -> { domain, hostOnly, path, secure, expires, name,
+  // value, httpOnly }, expires in seconds (0 for session cookies)
+  const cookies = new Map();
+  const put = (cookie) =>
+    cookies.set(`${cookie.domain};${cookie.path};${cookie.name}`, cookie);
+
+  if (file) {
+    let text = "";
+    try {
+      text = await fs.readFile(file, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    for (let line of text.split(/\r?\n/)) {
+      // curl marks HttpOnly cookies with a prefix on an otherwise
+      // commented-out line
+      const httpOnly = line.startsWith("#HttpOnly_");
+      if (httpOnly) line = line.slice("#HttpOnly_".length);
+      if (!line.trim() || line.startsWith("#")) continue;
+      const [domain, subdomains, path, secure, expires, name, value = ""] =
+        line.split("\t");
+      if (!name) continue;
+      put({
+        domain: domain.replace(/^\./, "").toLowerCase(),
+        hostOnly: subdomains !== "TRUE",
+        path: path || "/",
+        secure: secure === "TRUE",
+        expires: Number(expires) || 0,
+        name,
+        value,
+        httpOnly,
+      });
+    }
+  }
+
+  const live = (cookie) =>
+    !cookie.expires || cookie.expires > Date.now() / 1000;
+
+  return {
+    /**
+     * Add "name=value; name2=value2" as host-only cookies for `url`'s host,
+     * as --cookie does.
+     */
+    add(pairs, url) {
+      const { hostname } = new URL(url);
+      for (const pair of pairs.split(";")) {
+        const eq = pair.indexOf("=");
+        if (eq < 1) continue;
+        put({
+          domain: hostname,
+          hostOnly: true,
+          path: "/",
+          secure: false,
+          expires: 0,
+          name: pair.slice(0, eq).trim(),
+          value: pair.slice(eq + 1).trim(),
+          httpOnly: false,
+        });
+      }
+    },
+
+    // Take in the Set-Cookie headers of a response from `url`
+    store(url, headers) {
+      const { hostname, pathname } = new URL(url);
+      for (const header of headers) {
+        const [pair, ...attributes] = header.split(";");
+        const eq = pair.indexOf("=");
+        if (eq < 1) continue;
+        const cookie = {
+          domain: hostname,
+          hostOnly: true,
+          path: defaultPath(pathname),
+          secure: false,
+          expires: 0,
+          name: pair.slice(0, eq).trim(),
+          value: pair.slice(eq + 1).trim(),
+          httpOnly: false,
+        };
+        let maxAge = null;
+        for (const attribute of attributes) {
+          const [key, ...rest] = attribute.split("=");
+          const value = rest.join("=").trim();
+          switch (key.trim().toLowerCase()) {
+            case "domain": {
+              const domain = value.replace(/^\./, "").toLowerCase();
+              // A site can only set cookies for itself or a parent domain
+              if (!domain || !domainMatch(hostname, domain, false)) {
+                cookie.domain = null;
+              } else {
+                cookie.domain = domain;
+                cookie.hostOnly = false;
+              }
+              break;
+            }
+            case "path":
+              if (value.startsWith("/")) cookie.path = value;
+              break;
+            case "expires": {
+              const date = Date.parse(value);
+              if (!Number.isNaN(date)) cookie.expires = Math.floor(date / 1000);
+              break;
+            }
+            case "max-age":
+              if (/^-?\d+$/.test(value)) maxAge = Number(value);
+              break;
+            case "secure":
+              cookie.secure = true;
+              break;
+            case "httponly":
+              cookie.httpOnly = true;
+              break;
+          }
+        }
+        if (!cookie.domain) continue;
+        if (maxAge !== null) {
+          // Max-Age wins over Expires; zero or less deletes the cookie
+          cookie.expires =
+            maxAge > 0 ? Math.floor(Date.now() / 1000) + maxAge : 1;
+        }
+        put(cookie);
+      }
+    },
+
+    // Cookie header for a request to `url`, or null
+    header(url) {
+      const { protocol, hostname, pathname } = new URL(url);
+      const matching = [...cookies.values()]
+        .filter(
+          (cookie) =>
+            live(cookie) &&
+            domainMatch(hostname, cookie.domain, cookie.hostOnly) &&
+            pathMatch(pathname, cookie.path) &&
+            (!cookie.secure || protocol === "https:")
+        )
+        // Longer paths first, as browsers send them
+        .sort((a, b) => b.path.length - a.path.length);
+      if (!matching.length) return null;
+      return matching.map(({ name, value }) => `${name}=${value}`).join("; ");
+    },
+
+    // Write the jar back to `file` in the Netscape format
+    async save() {
+      if (!file) return;
+      const lines = ["# Netscape HTTP Cookie File", ""];
+      for (const cookie of cookies.values()) {
+        if (!live(cookie)) continue;
+        lines.push(
+          [
+            `${cookie.httpOnly ? "#HttpOnly_" : ""}${
+              cookie.hostOnly ? "" : "."
+            }${cookie.domain}`,
+            cookie.hostOnly ? "FALSE" : "TRUE",
+            cookie.path,
+            cookie.secure ? "TRUE" : "FALSE",
+            cookie.expires,
+            cookie.name,
+            cookie.value,
+          ].join("\t")
+        );
+      }
+      await fs.writeFile(file, `${lines.join("\n")}\n`);
+    },
+  };
+}
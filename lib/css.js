@@ -0,0 +1,288 @@
+/**
+ * CSS references by tokenizing, as CSS Syntax Level 3 does, rather than by
+ * pattern: comments, escapes and strings are read the way browsers read
+ * them. Finds url() and src(), the strings of image-set(), @import in both
+ * forms (any media, layer or supports() after it is left as it is) and
+ * therefore every @font-face src. @namespace URIs name a namespace and
+ * are never fetched, so they are left out.
+ */
+
+const isNameChar = (ch) => /[a-zA-Z0-9_\-\u0080-\uffff]/.test(ch);
+const isNameStart = (ch) => /[a-zA-Z_\u0080-\uffff]/.test(ch);
+const isHex = (ch) => /[0-9a-fA-F]/.test(ch);
+const isSpace = (ch) =>
+  ch === " " || ch === "\t" || ch === "\n" || ch === "\r" || ch === "\f";
+
+/**
+ * Tokens of `css` as { type, start, end, value }. Types are "comment",
+ * "space", "string", "url", "bad-url", "function", "at-keyword", "ident"
+ * and single characters for everything else ("(", ")", ";", "{", ...).
+ * Strings, urls and idents have their escapes decoded in `value`; strings
+ * also keep their `quote`.
+ */
+export function tokenize(css) {
+  const tokens = [];
+  let i = 0;
+
+  // Escape at css[i] (the backslash), decoded; moves i past it
+  const escape = () => {
+    i++;
+    let hex = "";
+    while (hex.length < 6 && i < css.length && isHex(css[i])) hex += css[i++];
+    if (hex) {
+      if (isSpace(css[i])) i += css[i] === "\r" && css[i + 1] === "\n" ? 2 : 1;
+      const code = parseInt(hex, 16);
+      return code && code <= 0x10ffff ? String.fromCodePoint(code) : "\ufffd";
+    }
+    return i < css.length ? css[i++] : "\ufffd";
+  };
+  const validEscape = (at) => css[at] === "\\" && css[at + 1] !== "\n";
+  const startsName = (at) =>
+    isNameStart(css[at] ?? "") ||
+    validEscape(at) ||
+    (css[at] === "-" &&
+      (isNameStart(css[at + 1] ?? "") ||
+        css[at + 1] === "-" ||
+        validEscape(at + 1)));
+  const name = () => {
+    let value = "";
+    while (i < css.length) {
+      if (isNameChar(css[i])) value += css[i++];
+      else if (validEscape(i)) value += escape();
+      else break;
+    }
+    return value;
+  };
+
+  // Unquoted url( ... ) after "url(" and any whitespace
+  const url = (start) => {
+    let value = "";
+    while (i < css.length) {
+      const ch = css[i];
+      if (ch === ")") {
+        i++;
+        return { type: "url", start, end: i, value };
+      }
+      if (isSpace(ch)) {
+        while (isSpace(css[i])) i++;
+        if (css[i] === ")" || i >= css.length) continue;
+        break;
+      }
+      if (ch === '"' || ch === "'" || ch === "(") break;
+      if (ch === "\\") {
+        if (!validEscape(i)) break;
+        value += escape();
+        continue;
+      }
+      value += ch;
+      i++;
+    }
+    // Bad url: skip to the closing parenthesis
+    while (i < css.length && css[i] !== ")") {
+      if (validEscape(i)) i++;
+      i++;
+    }
+    if (i < css.length) i++;
+    return { type: "bad-url", start, end: i, value };
+  };
+
+  while (i < css.length) {
+    const start = i;
+    const ch = css[i];
+    if (ch === "/" && css[i + 1] === "*") {
+      const close = css.indexOf("*/", i + 2);
+      i = close === -1 ? css.length : close + 2;
+      tokens.push({ type: "comment", start, end: i });
+    } else if (isSpace(ch)) {
+      while (isSpace(css[i])) i++;
+      tokens.push({ type: "space", start, end: i });
+    } else if (ch === '"' || ch === "'") {
+      i++;
+      let value = "";
+      while (i < css.length && css[i] !== ch) {
+        // An unescaped newline ends a (bad) string
+        if (css[i] === "\n") break;
+        if (css[i] === "\\") {
+          if (css[i + 1] === "\n") i += 2;
+          else if (i + 1 >= css.length) i++;
+          else value += escape();
+          continue;
+        }
+        value += css[i++];
+      }
+      if (css[i] === ch) i++;
+      tokens.push({ type: "string", start, end: i, value, quote: ch });
+    } else if (ch === "@" && startsName(i + 1)) {
+      i++;
+      tokens.push({ type: "at-keyword", start, end: i, value: name() });
+    } else if (startsName(i)) {
+      const value = name();
+      if (css[i] !== "(") {
+        tokens.push({ type: "ident", start, end: i, value });
+      } else if (value.toLowerCase() === "url") {
+        i++;
+        let next = i;
+        while (isSpace(css[next])) next++;
+        if (css[next] === '"' || css[next] === "'") {
+          tokens.push({ type: "function", start, end: i, value: "url" });
+        } else {
+          i = next;
+          tokens.push(url(start));
+        }
+      } else {
+        i++;
+        tokens.push({
+          type: "function",
+          start,
+          end: i,
+          value: value.toLowerCase(),
+        });
+      }
+    } else {
+      i++;
+      tokens.push({ type: ch, start, end: i });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * References in `css` as [{ start, end, url, context, form, quote }].
+ * `context` is "import" for @import and "url" otherwise; `form` says what
+ * start..end covers: "url" for url(...), "src" for src(...), "string" for
+ * a bare string (@import "x", image-set("x" 1x)).
+ */
+export function cssReferences(css) {
+  const tokens = tokenize(css).filter(
+    ({ type }) => type !== "comment" && type !== "space"
+  );
+  const refs = [];
+  const functions = []; // open function names, "(" for plain parentheses
+  let rule = null; // "import" or "namespace" until the statement ends
+
+  const add = (ref) => {
+    if (rule === "namespace") return;
+    refs.push({ ...ref, context: rule === "import" ? "import" : "url" });
+    rule = null;
+  };
+
+  for (let n = 0; n < tokens.length; n++) {
+    const token = tokens[n];
+    switch (token.type) {
+      case "at-keyword": {
+        const keyword = token.value.toLowerCase();
+        rule = keyword === "import" || keyword === "namespace" ? keyword : null;
+        break;
+      }
+      case ";":
+      case "{":
+      case "}":
+        rule = null;
+        break;
+      case "url":
+        add({
+          start: token.start,
+          end: token.end,
+          url: token.value,
+          form: "url",
+          quote: "",
+        });
+        break;
+      case "function":
+        if (token.value === "url" || token.value === "src") {
+          const string = tokens[n + 1];
+          const close = tokens[n + 2];
+          if (string?.type === "string" && close?.type === ")") {
+            add({
+              start: token.start,
+              end: close.end,
+              url: string.value,
+              form: token.value,
+              quote: string.quote,
+            });
+            n += 2;
+            break;
+          }
+        }
+        functions.push(token.value);
+        break;
+      case "(":
+        functions.push("(");
+        break;
+      case ")":
+        functions.pop();
+        break;
+      case "string": {
+        const inside = functions.at(-1);
+        if (
+          (rule === "import" && !functions.length) ||
+          inside === "image-set" ||
+          inside === "-webkit-image-set"
+        ) {
+          add({
+            start: token.start,
+            end: token.end,
+            url: token.value,
+            form: "string",
+            quote: token.quote,
+          });
+        }
+        break;
+      }
+    }
+  }
+  return refs;
+}
+
+function cssString(value, quote) {
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(new RegExp(quote, "g"), `\\${quote}`)
+    .replace(/\n/g, "\\a ");
+  return `${quote}${escaped}${quote}`;
+}
+
+// How a reference is written back once it points at `url`, in its
+// original form and quotes where the value allows
+function serialize(ref, url) {
+  if (ref.form === "string") return cssString(url, ref.quote || '"');
+  if (ref.quote) return `${ref.form}(${cssString(url, ref.quote)})`;
+  return /[\s"'()\\\x00-\x1f\x7f]/.test(url)
+    ? `url(${cssString(url, '"')})`
+    : `url(${url})`;
+}
+
+// <style> blocks and attribute values using url() in SVG or other markup;
+// everything else there isn't CSS and would confuse the tokenizer
+const MARKUP_CSS =
+  /(<style\b[^>]*>)([\s\S]*?)<\/style>|(\s[\w:.-]+\s*=\s*)(?:"([^"]*url\([^"]*)"|'([^']*url\([^']*)')/gi;
+
+// References in the stylesheets of `markup`, offsets into the markup
+export function markupReferences(markup) {
+  const refs = [];
+  for (const match of markup.matchAll(MARKUP_CSS)) {
+    const css = match[2] ?? match[4] ?? match[5];
+    const offset =
+      match.index + (match[1] ? match[1].length : match[3].length + 1);
+    for (const ref of cssReferences(css)) {
+      refs.push({ ...ref, start: ref.start + offset, end: ref.end + offset });
+    }
+  }
+  return refs;
+}
+
+/**
+ * `css` with each reference replaced by `replace(ref)`, a new URL, or left
+ * alone when that returns null. With { markup: true } only the CSS inside
+ * SVG / HTML markup is touched.
+ */
+export function rewriteCss(css, replace, { markup = false } = {}) {
+  const refs = markup ? markupReferences(css) : cssReferences(css);
+  for (let n = refs.length - 1; n >= 0; n--) {
+    const ref = refs[n];
+    const url = replace(ref);
+    if (url == null) continue;
+    css = css.slice(0, ref.start) + serialize(ref, url) + css.slice(ref.end);
+  }
+  return css;
+}
@@ -0,0 +1,184 @@
+/**
+ * Page discovery beyond links: robots.txt rules (Disallow, Allow,
+ * Crawl-delay, Sitemap), XML and plain-text sitemaps, sitemap indexes and
+ * their gzipped variants, and RSS / Atom feeds.
+ */
+
+import { gunzipSync } from "zlib";
+import { load } from "cheerio";
+
+// <link rel="alternate"> types that point at a feed
+export const FEED_TYPES = [
+  "application/rss+xml",
+  "application/atom+xml",
+  "application/feed+json",
+];
+
+// robots.txt path pattern -> RegExp. "*" is any run of characters and a
+// trailing "$" anchors the end; everything else is a prefix match.
+function robotsPattern(value) {
+  const anchored = value.endsWith("$");
+  const source = (anchored ? value.slice(0, -1) : value)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Rules in the robots.txt `text` fetched from `url` for the crawler called
+ * `agent`, falling back to the "*" group. Returns { allowed(path), crawlDelay, sitemaps } where path is the
+ * URL's path plus query and crawlDelay is in seconds (0 when unset).
+ */
+export function parseRobots(text, url, agent = "broddy") {
+  const groups = []; // { agents, rules: [{ allow, pattern, length }], delay }
+  const sitemaps = [];
+  let group = null;
+  let inAgents = false;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const colon = line.indexOf(":");
+    if (colon < 1) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+    if (key === "user-agent") {
+      // Consecutive User-agent lines share one group
+      if (!inAgents) {
+        group = { agents: [], rules: [], delay: 0 };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      inAgents = true;
+      continue;
+    }
+    inAgents = false;
+    if (!group) continue;
+    if (key === "allow" || key === "disallow") {
+      // An empty Disallow allows everything
+      if (!value) continue;
+      group.rules.push({
+        allow: key === "allow",
+        pattern: robotsPattern(value),
+        length: value.length,
+      });
+    } else if (key === "crawl-delay") {
+      const seconds = Number(value);
+      if (seconds > 0) group.delay = seconds;
+    }
+  }
+
+  const name = agent.toLowerCase();
+  const matching = groups.filter(({ agents }) => agents.includes(name));
+  const chosen = matching.length
+    ? matching
+    : groups.filter(({ agents }) => agents.includes("*"));
+  const rules = chosen.flatMap(({ rules }) => rules);
+
+  return {
+    // The longest matching rule decides; Allow wins a tie
+    allowed(path) {
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (
+          !best ||
+          rule.length > best.length ||
+          (rule.length === best.length && rule.allow)
+        ) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    },
+    crawlDelay: Math.max(0, ...chosen.map(({ delay }) => delay)),
+    sitemaps: absolute(sitemaps, url),
+  };
+}
+
+// Absolute http(s) URLs only; sitemaps and feeds are full of junk
+function absolute(values, base) {
+  const urls = [];
+  for (const value of values) {
+    try {
+      const url = new URL(value.trim(), base);
+      if (/^https?:$/.test(url.protocol)) urls.push(url.href);
+    } catch {
+      /* ignore */
+    }
+  }
+  return urls;
+}
+
+/**
+ * Read a sitemap fetched from `url`: a <urlset>, a <sitemapindex> or a
+ * plain list of URLs, gzipped or not. Returns { pages, sitemaps }.
+ */
+export function parseSitemap(body, url) {
+  // gzip magic number, whatever the server called it
+  if (body[0] === 0x1f && body[1] === 0x8b) body = gunzipSync(body);
+  const text = body.toString("utf8").trim();
+
+  if (!text.startsWith("<")) {
+    return {
+      pages: absolute(text.split(/\s+/).filter(Boolean), url),
+      sitemaps: [],
+    };
+  }
+  const $ = load(text, { xmlMode: true });
+  return {
+    pages: absolute(
+      $("url > loc")
+        .map((_, el) => $(el).text())
+        .get(),
+      url
+    ),
+    sitemaps: absolute(
+      $("sitemap > loc")
+        .map((_, el) => $(el).text())
+        .get(),
+      url
+    ),
+  };
+}
+
+// Item links of an RSS, Atom or JSON feed fetched from `url`
+export function parseFeed(body, url) {
+  const text = body.toString("utf8").trim();
+  if (text.startsWith("{")) {
+    try {
+      const { items = [] } = JSON.parse(text);
+      return absolute(
+        items
+          .map((item) => item.url || item.external_url || "")
+          .filter(Boolean),
+        url
+      );
+    } catch {
+      return [];
+    }
+  }
+  const $ = load(text, { xmlMode: true });
+  const links = [];
+  // RSS: <item><link>url</link>
+  $("item > link").each((_, el) => {
+    links.push($(el).text());
+  });
+  // Atom: <entry><link href="url"/>, the alternate one when there are several
+  $("entry").each((_, entry) => {
+    const candidates = $(entry).children("link");
+    const alternate = candidates.filter(
+      (_, el) => !$(el).attr("rel") || $(el).attr("rel") === "alternate"
+    );
+    const href = (alternate.length ? alternate : candidates)
+      .first()
+      .attr("href");
+    if (href) links.push(href);
+  });
+  return absolute(links, url);
+}
@@ -0,0 +1,448 @@
+/**
+ * Reference discovery shared by the mirror and `broddy verify`: which URLs a
+ * page, stylesheet, script, SVG, XML or JSON file points at.
+ */
+
+import path from "path";
+import { load } from "cheerio";
+import { BUNDLER_PLUGINS } from "./bundlers.js";
+import { cssReferences, markupReferences } from "./css.js";
+import { findReferences } from "./js-ast.js";
+import { findPrecache } from "./service-worker.js";
+
+export const TYPE_EXTENSIONS = {
+  js: [".js", ".mjs", ".cjs", ".jsx"],
+  css: [".css"],
+  json: [".json"],
+  html: [".html", ".htm"],
+  svg: [".svg"],
+  webmanifest: [".webmanifest"],
+  xml: [".xml", ".rss", ".atom"],
+};
+
+// Best guess from the URL alone, until the response says otherwise
+export function assetType(url) {
+  const ext = path.extname(new URL(url).pathname).toLowerCase();
+  for (const [type, exts] of Object.entries(TYPE_EXTENSIONS)) {
+    if (exts.includes(ext)) return type;
+  }
+  return "other";
+}
+
+// Enhanced regex patterns for better capture
+export const PATTERNS = {
+  // Dynamic imports, webpack chunks, lazy loading, etc.
+  JS_IMPORTS: [
+    /import\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
+    /import\s+.*?\s+from\s+[`'"]([^`"']+?)[`"']/g,
+    /require\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
+    /new\s+URL\s*\(\s*[`'"]([^`"']+?)[`"']/g,
+    /__webpack_require__\.p\s*\+\s*[`'"]([^`"']+?)[`"']/g,
+    /__webpack_public_path__\s*\+\s*[`'"]([^`"']+?)[`"']/g,
+    /__framer__url\s*[`'"]([^`"']+?)[`"']/g,
+    /fetch\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
+    /loadScript\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
+    /serviceWorker\.register\s*\(\s*[`'"]([^`"']+?)[`"']/g,
+    /\.lazy\s*\(\s*\(\)\s*=>\s*import\s*\(\s*[`'"]([^`"']+?)[`"']\s*\)/g,
+    /chunk:\s*[`'"]([^`"']+?)[`"']/g,
+  ],
+  // Source map patterns
+  SOURCE_MAP: [
+    /\/\/[#@]\s*sourceMappingURL=([^\s]+)/,
+    /\/\*[#@]\s*sourceMappingURL=([^\s*]+)\s*\*\//,
+  ],
+  // Attributes referencing other files from SVG and XML documents
+  MARKUP_REFS: [/\s(?:xlink:)?(?:href|src)\s*=\s*(["'])([^"']+?)\1/g],
+  // JSON config files that might contain asset URLs
+  JSON_ASSETS: [
+    /"(?:src|href|url|image|icon|logo|poster|thumbnail)"\s*:\s*"([^"]+?)"/g,
+  ],
+};
+
+// Meta tags whose content is an asset URL
+export const META_ASSETS = [
+  'meta[property="og:image"]',
+  'meta[property="og:image:url"]',
+  'meta[property="og:image:secure_url"]',
+  'meta[property="og:video"]',
+  'meta[property="og:audio"]',
+  'meta[name="twitter:image"]',
+  'meta[name="twitter:image:src"]',
+  'meta[itemprop="image"]',
+  'meta[name="msapplication-TileImage"]',
+  'meta[name="msapplication-config"]',
+].join(", ");
+
+// "5; url=/next" in <meta http-equiv="refresh">
+export const REFRESH_URL =
+  /^(\s*[\d.]*\s*[;,]\s*url\s*=\s*)['"]?([^'"]+)['"]?/i;
+
+// "a.jpg 1x, b.jpg 2x" -> [{ url, descriptor }]. URLs may contain commas
+// (image CDN transforms), so candidates are split the way browsers do:
+// the URL runs to the next whitespace, the descriptor to the next comma.
+export function parseSrcset(srcset = "") {
+  const candidates = [];
+  let rest = srcset;
+  for (;;) {
+    rest = rest.replace(/^[\s,]+/, "");
+    if (!rest) return candidates;
+    let [url] = rest.match(/^\S+/);
+    rest = rest.slice(url.length);
+    let descriptor = "";
+    if (url.endsWith(",")) {
+      url = url.replace(/,+$/, "");
+    } else {
+      const end = rest.indexOf(",");
+      descriptor = (end === -1 ? rest : rest.slice(0, end)).trim();
+      rest = end === -1 ? "" : rest.slice(end + 1);
+    }
+    candidates.push({ url, descriptor });
+  }
+}
+
+export function serializeSrcset(candidates) {
+  return candidates
+    .map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url))
+    .join(", ");
+}
+
+// Absolute URL an AST reference points at, or null for bare module names,
+// data: URLs and the like. Document-relative references resolve against
+// the site root, as the page running the script isn't known.
+export function resolveReference({ value, context }, fileUrl) {
+  if (/^(data|blob|javascript|mailto):|^#/i.test(value)) return null;
+  const isPath = /^(\.{0,2}\/|[a-z][a-z0-9+.-]*:)/i.test(value);
+  if (context === "import" && !isPath) return null;
+  try {
+    const base = context === "document" ? new URL("/", fileUrl) : fileUrl;
+    const url = new URL(value, base);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extraction functions for one run. `jsParser` is "regex" or "ast",
+ * `sourceMaps` adds sourceMappingURL targets, and `log` reports what the
+ * bundler plugins found.
+ */
+export function createExtractor({
+  jsParser = "regex",
+  sourceMaps = false,
+  log = () => {},
+} = {}) {
+  // Every asset URL referenced from a parsed HTML document or fragment,
+  // mapped to the type its element implies (a script[src] is JavaScript
+  // whatever its URL looks like)
+  const extractHtmlAssets = ($, base) => {
+    const found = new Map();
+    const add = (url, type = assetType(url)) => {
+      if (!found.has(url) || found.get(url) === "other") found.set(url, type);
+    };
+
+    const elementType = (el) => {
+      const rel = ($(el).attr("rel") || "").toLowerCase().split(/\s+/);
+      if (el.name === "script" || rel.includes("modulepreload")) return "js";
+      if (rel.includes("stylesheet")) return "css";
+      if (rel.includes("manifest")) return "webmanifest";
+      if (rel.includes("preload")) {
+        const as = $(el).attr("as");
+        if (as === "script" || as === "worker") return "js";
+        if (as === "style") return "css";
+      }
+      if (el.name === "iframe") return "html";
+      return undefined;
+    };
+
+    const resolve = (val) => {
+      if (!val || /^(data|blob|javascript|mailto|tel):|^#/i.test(val)) {
+        return null;
+      }
+      try {
+        return new URL(val.startsWith("//") ? `https:${val}` : val, base).href;
+      } catch {
+        return null;
+      }
+    };
+
+    // Collect all asset URLs from HTML
+    $(
+      "link[href], script[src], img[src], source[src], video[src], audio[src], track[src], input[src], embed[src], object[data], iframe[src]"
+    ).each((_, el) => {
+      ["href", "src", "data"].forEach((attr) => {
+        const val = $(el).attr(attr);
+        if (val && !val.startsWith("data:") && !val.startsWith("#")) {
+          let url;
+          try {
+            if (val.startsWith("http")) {
+              url = val;
+            } else if (val.startsWith("//")) {
+              url = `https:${val}`;
+            } else if (val.startsWith("/")) {
+              // Relative URL from root
+              url = new URL(val, base).href;
+            } else {
+              // Relative URL from current page
+              url = new URL(val, base).href;
+            }
+
+            add(url, elementType(el));
+          } catch {
+            // Ignore invalid URLs
+          }
+        }
+      });
+    });
+
+    // Responsive images: img/source srcset and preload imagesrcset
+    $("img[srcset], source[srcset], link[imagesrcset]").each((_, el) => {
+      const srcset = $(el).attr("srcset") ?? $(el).attr("imagesrcset");
+      parseSrcset(srcset).forEach(({ url }) => {
+        const resolved = resolve(url);
+        if (resolved) add(resolved);
+      });
+    });
+
+    $("video[poster]").each((_, el) => {
+      const url = resolve($(el).attr("poster"));
+      if (url) add(url);
+    });
+
+    // SVG <use>/<image> references; sprite sheets are fetched without the
+    // #fragment
+    $("use, image, feImage").each((_, el) => {
+      const url = resolve($(el).attr("href") ?? $(el).attr("xlink:href"));
+      if (url) add(url.replace(/#.*$/, ""));
+    });
+
+    // Social cards and tile images
+    $(META_ASSETS).each((_, el) => {
+      const url = resolve($(el).attr("content"));
+      if (url) add(url);
+    });
+
+    // Import map targets are modules, except "prefix/" mappings which
+    // can't be enumerated
+    $('script[type="importmap"]').each((_, el) => {
+      try {
+        const map = JSON.parse($(el).html());
+        const targets = [
+          ...Object.values(map.imports || {}),
+          ...Object.values(map.scopes || {}).flatMap(Object.values),
+        ];
+        targets.forEach((target) => {
+          const url = !target.endsWith("/") && resolve(target);
+          if (url) add(url, "js");
+        });
+      } catch {
+        /* not valid json */
+      }
+    });
+
+    // Inline style attributes
+    $("[style]").each((_, el) => {
+      extractAssets($(el).attr("style"), "css", base).forEach((url) =>
+        add(url)
+      );
+    });
+
+    // Also check inline scripts for asset references
+    $('script:not([src]):not([type="importmap"])').each((_, el) => {
+      const scriptContent = $(el).html();
+      if (scriptContent) {
+        extractAssets(scriptContent, "js", base).forEach((url) => add(url));
+      }
+    });
+
+    // Check inline styles; what they @import is CSS whatever its URL
+    $("style").each((_, el) => {
+      const styleContent = $(el).html();
+      if (styleContent) {
+        const hints = new Map();
+        extractAssets(styleContent, "css", base, hints).forEach((url) =>
+          add(url, hints.get(url))
+        );
+      }
+    });
+
+    // Extract URLs from all data attributes (for tracking pixels, beacons, etc.)
+    $("*").each((_, el) => {
+      const attrs = el.attribs || {};
+      // A policy's sources are origins allowed to load from, not files
+      if (/^content-security-policy/i.test(attrs["http-equiv"] || "")) return;
+      Object.entries(attrs).forEach(([name, val]) => {
+        // Style attributes are CSS, read above; a bare url(...) would end
+        // in its closing paren here
+        if (name === "style") return;
+        if (typeof val === "string") {
+          // Look for URLs in data attributes
+          const urlMatches = val.match(/https?:\/\/[^\s"'<>{}|\\^`\]]+/g);
+          if (urlMatches) {
+            urlMatches.forEach((url) => {
+              try {
+                const cleanUrl = url.replace(/[,;]$/, ""); // Remove trailing punctuation
+                // The file, not a #fragment of it
+                add(new URL(cleanUrl.replace(/#.*$/, "")).href);
+              } catch {
+                /* ignore invalid URLs */
+              }
+            });
+          }
+        }
+      });
+    });
+
+    return found;
+  };
+
+  // Extract assets from code. `hints`, when given, is filled with the
+  // types references imply (url -> "css" for an @import).
+  const extractAssets = (code, type, baseUrl, hints) => {
+    const found = new Set();
+
+    // References from a stylesheet or the CSS inside markup
+    const addCss = (refs) => {
+      for (const { url, context } of refs) {
+        if (!url || /^(data:|#)/i.test(url)) continue;
+        try {
+          const resolved = new URL(url, baseUrl).href;
+          found.add(resolved);
+          if (context === "import") hints?.set(resolved, "css");
+        } catch {
+          /* ignore */
+        }
+      }
+    };
+
+    if (type === "js" || type === "mjs") {
+      // The parser finds what it can prove; the regexes below still run for
+      // bundler idioms it can't evaluate
+      if (jsParser === "ast") {
+        findReferences(code)?.forEach((ref) => {
+          const url = resolveReference(ref, baseUrl);
+          if (url) found.add(url);
+        });
+      }
+
+      PATTERNS.JS_IMPORTS.forEach((pattern) => {
+        const matches = [...code.matchAll(pattern)];
+        matches.forEach((match) => {
+          const url = match[1];
+          if (url && (url.startsWith("http") || url.startsWith("//"))) {
+            found.add(url.startsWith("//") ? `https:${url}` : url);
+          } else if (url && !url.startsWith("data:") && !url.startsWith("#")) {
+            // Only resolve if it looks like a real path (has / or . or common extensions)
+            if (/^[./]|\.js|\.mjs|\.css|\.json|\.wasm|\.map/.test(url)) {
+              try {
+                const resolved = new URL(url, baseUrl).href;
+                found.add(resolved);
+              } catch {
+                /* ignore */
+              }
+            }
+          }
+        });
+      });
+
+      // Files a service worker precaches, relative to the worker
+      for (const { url } of findPrecache(code)) {
+        try {
+          found.add(new URL(url, baseUrl).href);
+        } catch {
+          /* ignore */
+        }
+      }
+
+      // Check for source maps
+      if (sourceMaps) {
+        PATTERNS.SOURCE_MAP.forEach((pattern) => {
+          const match = code.match(pattern);
+          if (match && match[1]) {
+            const mapUrl = match[1];
+            if (mapUrl.startsWith("http")) {
+              found.add(mapUrl);
+            } else {
+              try {
+                const resolved = new URL(mapUrl, baseUrl).href;
+                found.add(resolved);
+              } catch {
+                /* ignore */
+              }
+            }
+          }
+        });
+      }
+    }
+
+    if (type === "css") addCss(cssReferences(code));
+
+    if (type === "svg" || type === "xml") {
+      PATTERNS.MARKUP_REFS.forEach((pattern) => {
+        for (const [, , url] of code.matchAll(pattern)) {
+          if (url.startsWith("data:") || url.startsWith("#")) continue;
+          try {
+            found.add(new URL(url, baseUrl).href);
+          } catch {
+            /* ignore */
+          }
+        }
+      });
+    }
+
+    // <style> blocks and style / presentation attributes
+    if (type === "svg") addCss(markupReferences(code));
+
+    if (type === "html") {
+      for (const url of extractHtmlAssets(load(code), baseUrl).keys()) {
+        found.add(url);
+      }
+    }
+
+    if (type === "webmanifest") {
+      try {
+        const data = JSON.parse(code);
+        const images = [
+          ...(data.icons || []),
+          ...(data.screenshots || []),
+          ...(data.shortcuts || []).flatMap((shortcut) => shortcut.icons || []),
+        ];
+        images.forEach(({ src }) => {
+          try {
+            found.add(new URL(src, baseUrl).href);
+          } catch {
+            /* ignore */
+          }
+        });
+      } catch {
+        /* not valid json */
+      }
+    }
+
+    // Lazy chunks only reachable through a bundler's runtime maps
+    for (const plugin of BUNDLER_PLUGINS) {
+      if (!plugin.test(code, baseUrl, type)) continue;
+      const chunks = plugin.find(code, baseUrl);
+      if (chunks.length) {
+        log(`  🧩 ${plugin.name}: ${chunks.length} chunks in ${baseUrl}`);
+      }
+      chunks.forEach((url) => found.add(url));
+    }
+
+    if (type === "json") {
+      PATTERNS.JSON_ASSETS.forEach((pattern) => {
+        const matches = [...code.matchAll(pattern)];
+        matches.forEach((match) => {
+          const url = match[1];
+          if (url && url.startsWith("http")) {
+            found.add(url);
+          }
+        });
+      });
+    }
+
+    return found;
+  };
+
+  return { extractAssets, extractHtmlAssets };
+}
@@ -0,0 +1,24 @@
+/**
+ * Walking a mirror on disk. Done by hand rather than with readdir's
+ * `recursive` option, which Node only has from 18.17 and 20.1.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+
+// Files under `dir` as "/"-separated relative paths in name order, leaving
+// out the paths in `skip` and everything below them
+export async function listFiles(dir, skip = [], prefix = "") {
+  const files = [];
+  const entries = await fs.readdir(path.join(dir, prefix), {
+    withFileTypes: true,
+  });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (skip.includes(name)) continue;
+    if (entry.isDirectory()) files.push(...(await listFiles(dir, skip, name)));
+    else if (entry.isFile()) files.push(name);
+  }
+  return files;
+}
@@ -0,0 +1,194 @@
+/**
+ * Host configuration for a mirror. Reproduces the site's redirects, its 404
+ * page, client-side routing and the response headers that change how pages
+ * behave, as Netlify / Cloudflare Pages `_redirects` and `_headers`, a
+ * Vercel `vercel.json` and an nginx snippet.
+ */
+
+// Response headers worth carrying over; the rest describe the transfer or
+// the original server
+export const IMPORTANT_HEADERS = [
+  "content-security-policy",
+  "content-security-policy-report-only",
+  "cross-origin-embedder-policy",
+  "cross-origin-opener-policy",
+  "cross-origin-resource-policy",
+  "permissions-policy",
+  "referrer-policy",
+  "strict-transport-security",
+  "x-content-type-options",
+  "x-frame-options",
+  "x-robots-tag",
+  "x-xss-protection",
+];
+
+// { name: value } of the important headers in a fetch Headers object
+export function pickHeaders(headers) {
+  const picked = {};
+  for (const name of IMPORTANT_HEADERS) {
+    const value = headers.get(name);
+    if (value) picked[name] = value;
+  }
+  return Object.keys(picked).length ? picked : undefined;
+}
+
+// Page left at a redirected URL, so the old address keeps working on hosts
+// that know nothing of the redirect
+export function redirectStub(href) {
+  const url = href.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+  return `<!doctype html>
+<meta charset="utf-8">
+<title>Redirecting…</title>
+<link rel="canonical" href="${url}">
+<meta http-equiv="refresh" content="0; url=${url}">
+<a href="${url}">${url}</a>
+`;
+}
+
+// "/docs" -> "/docs/" only differs by a trailing slash, which every host
+// handles on its own (and Netlify would loop on)
+const slashOnly = (from, to) =>
+  from.replace(/\/$/, "") === to.replace(/\/$/, "");
+
+// Display name for an HTTP header, "x-frame-options" -> "X-Frame-Options"
+const headerName = (name) =>
+  name.replace(/(^|-)([a-z])/g, (m) => m.toUpperCase());
+
+// Headers every page sends alike, and per page what is left over
+function splitHeaders(pages) {
+  const common = {};
+  if (pages.length) {
+    for (const [name, value] of Object.entries(pages[0].headers)) {
+      if (pages.every(({ headers }) => headers[name] === value)) {
+        common[name] = value;
+      }
+    }
+  }
+  const specific = pages
+    .map(({ path, headers }) => ({
+      path,
+      headers: Object.fromEntries(
+        Object.entries(headers).filter(([name]) => !(name in common))
+      ),
+    }))
+    .filter(({ headers }) => Object.keys(headers).length);
+  return { common, specific };
+}
+
+function netlifyRedirects({ redirects, spa, root }) {
+  const lines = redirects.map(
+    ({ from, to, status }) => `${from}  ${to}  ${status}`
+  );
+  // Client-side routes get the app, as the original server did
+  if (spa) lines.push(`${root}*  ${root}index.html  200`);
+  return lines.join("\n");
+}
+
+function netlifyHeaders({ common, specific, root }) {
+  const blocks = [];
+  const block = (path, headers) =>
+    [
+      path,
+      ...Object.entries(headers).map(
+        ([name, value]) => `  ${headerName(name)}: ${value}`
+      ),
+    ].join("\n");
+  if (Object.keys(common).length) blocks.push(block(`${root}*`, common));
+  for (const { path, headers } of specific) blocks.push(block(path, headers));
+  return blocks.join("\n\n");
+}
+
+function vercelConfig({ redirects, common, specific, spa, root }) {
+  const config = {};
+  if (redirects.length) {
+    config.redirects = redirects.map(({ from, to, status }) => ({
+      source: from,
+      destination: to,
+      statusCode: status,
+    }));
+  }
+  if (spa) {
+    config.rewrites = [
+      { source: `${root}(.*)`, destination: `${root}index.html` },
+    ];
+  }
+  const headers = [];
+  const entry = (source, values) => ({
+    source,
+    headers: Object.entries(values).map(([key, value]) => ({
+      key: headerName(key),
+      value,
+    })),
+  });
+  if (Object.keys(common).length) headers.push(entry(`${root}(.*)`, common));
+  for (const { path, headers: values } of specific) {
+    headers.push(entry(path, values));
+  }
+  if (headers.length) config.headers = headers;
+  // Serve /pricing from pricing.html like the original did
+  config.cleanUrls = true;
+  return JSON.stringify(config, null, 2);
+}
+
+function nginxConfig({ redirects, common, specific, notFound, spa, root }) {
+  const quote = (value) => `"${value.replace(/["\\]/g, "\\$&")}"`;
+  const addHeaders = (headers, indent) =>
+    Object.entries(headers).map(
+      ([name, value]) =>
+        `${indent}add_header ${headerName(name)} ${quote(value)} always;`
+    );
+  const fallback = spa ? `${root}index.html` : "=404";
+  const tryFiles = `try_files $uri $uri.html $uri/ ${fallback};`;
+
+  const lines = [
+    "# Include inside the server { } block that serves the mirror",
+    "",
+  ];
+  if (notFound) lines.push(`error_page 404 ${notFound};`, "");
+  lines.push(...addHeaders(common, ""));
+  if (Object.keys(common).length) lines.push("");
+
+  for (const { from, to, status } of redirects) {
+    lines.push(`location = ${from} {`, `  return ${status} ${to};`, "}");
+  }
+  // add_header in a location replaces the server's, so repeat them
+  for (const { path, headers } of specific) {
+    lines.push(
+      `location = ${path} {`,
+      ...addHeaders({ ...common, ...headers }, "  "),
+      `  ${tryFiles}`,
+      "}"
+    );
+  }
+  lines.push(`location ${root} {`, `  ${tryFiles}`, "}");
+  return lines.join("\n");
+}
+
+/**
+ * Config files for the mirror, by file name. `redirects` is
+ * [{ from, to, status }], `pages` is [{ path, headers }], `notFound` the
+ * path of the 404 page (or null), `spa` whether unknown paths got the app
+ * and `root` the path the mirror is served under. Files with nothing to say
+ * are left out.
+ */
+export function hostConfigs({ redirects, pages, notFound, spa, root = "/" }) {
+  redirects = redirects
+    .filter(({ from, to }) => !slashOnly(from, to))
+    .sort((a, b) => a.from.localeCompare(b.from));
+  const { common, specific } = splitHeaders(
+    pages.map(({ path, headers = {} }) => ({ path, headers }))
+  );
+  const context = { redirects, common, specific, notFound, spa, root };
+
+  const files = {};
+  if (redirects.length || spa) files._redirects = netlifyRedirects(context);
+  if (Object.keys(common).length || specific.length) {
+    files._headers = netlifyHeaders(context);
+  }
+  if (Object.keys(files).length || notFound) {
+    files["vercel.json"] = vercelConfig(context);
+    files["nginx.conf"] = nginxConfig(context);
+  }
+  for (const name of Object.keys(files)) files[name] += "\n";
+  return files;
+}
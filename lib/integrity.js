@@ -0,0 +1,114 @@
+/**
+ * Checks a browser makes before running a file, brought in line with the
+ * rewritten mirror: Subresource Integrity hashes and Content-Security-Policy.
+ */
+
+import { createHash } from "crypto";
+
+const ALGORITHMS = ["sha256", "sha384", "sha512"];
+
+// Directives a policy restricts loading with
+const FETCH_DIRECTIVES = new Set([
+  "default-src",
+  "script-src",
+  "script-src-elem",
+  "style-src",
+  "style-src-elem",
+  "img-src",
+  "font-src",
+  "connect-src",
+  "media-src",
+  "object-src",
+  "worker-src",
+  "manifest-src",
+  "frame-src",
+  "child-src",
+]);
+
+// Directives that make no sense away from the original server: reports go
+// to the live site, and a mirror served over plain http would have every
+// request upgraded
+const DROPPED = new Set([
+  "report-uri",
+  "report-to",
+  "upgrade-insecure-requests",
+  "block-all-mixed-content",
+]);
+
+const hash = (algorithm, content) =>
+  `${algorithm}-${createHash(algorithm).update(content).digest("base64")}`;
+
+// integrity="sha384-..." recomputed for `content`, with the algorithms the
+// original listed
+export function recomputeIntegrity(value, content) {
+  const algorithms = [
+    ...new Set(
+      value
+        .trim()
+        .split(/\s+/)
+        .map((token) => token.split("-")[0].toLowerCase())
+        .filter((algorithm) => ALGORITHMS.includes(algorithm))
+    ),
+  ];
+  if (!algorithms.length) algorithms.push("sha384");
+  return algorithms.map((algorithm) => hash(algorithm, content)).join(" ");
+}
+
+// SHA-256 sources for the inline <script> and <style> blocks of a page
+export function inlineHashes($) {
+  const sources = (selector) => [
+    ...new Set(
+      $(selector)
+        .toArray()
+        .map((el) => `'${hash("sha256", $(el).html() || "")}'`)
+    ),
+  ];
+  return {
+    script: sources("script:not([src])"),
+    style: sources("style"),
+  };
+}
+
+/**
+ * Content-Security-Policy `policy` adjusted for the mirror. Directives that
+ * load anything also allow 'self', where the local copies now live; those
+ * pinning inline blocks by hash or nonce get the hashes of the rewritten
+ * blocks in `hashes` ({ script, style }); reporting and upgrade directives
+ * are dropped.
+ */
+export function adjustCsp(policy, hashes = { script: [], style: [] }) {
+  const directives = policy
+    .split(";")
+    .map((part) => part.trim().split(/\s+/))
+    .filter(([name]) => name)
+    .map(([name, ...sources]) => [name.toLowerCase(), sources]);
+  const names = new Set(directives.map(([name]) => name));
+  // Which directive governs inline scripts and styles
+  const governs = (kind, name) =>
+    name === `${kind}-src-elem` ||
+    (name === `${kind}-src` && !names.has(`${kind}-src-elem`)) ||
+    (name === "default-src" &&
+      !names.has(`${kind}-src`) &&
+      !names.has(`${kind}-src-elem`));
+
+  return directives
+    .filter(([name]) => !DROPPED.has(name))
+    .map(([name, sources]) => {
+      const lower = sources.map((source) => source.toLowerCase());
+      if (FETCH_DIRECTIVES.has(name) && !lower.includes("'none'")) {
+        if (!lower.includes("'self'") && !lower.includes("*")) {
+          sources = ["'self'", ...sources];
+        }
+        const pinned = lower.some((source) =>
+          /^'(sha(256|384|512)|nonce)-/.test(source)
+        );
+        for (const kind of ["script", "style"]) {
+          if (pinned && governs(kind, name)) {
+            sources = [...new Set([...sources, ...hashes[kind]])];
+          }
+        }
+      }
+      return [name, ...sources].join(" ");
+    })
+    .join("; ");
+}
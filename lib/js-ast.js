@@ -0,0 +1,212 @@
+/**
+ * AST-based URL discovery and rewriting for JavaScript (--js-parser ast).
+ * Finds the places a module loads other files from, evaluating string
+ * concatenation and template literals where every part is known, and
+ * rewrites exactly those nodes so unrelated string literals stay untouched.
+ */
+
+import { parse } from "acorn";
+import { full } from "acorn-walk";
+
+// Where a reference is resolved from:
+//   import   - module specifier, relative to the script (bare names skipped)
+//   module   - URL relative to the script (new URL(x, import.meta.url), importScripts)
+//   document - URL relative to the page running the script (Worker, fetch, register)
+//   literal  - any absolute URL string found elsewhere in the code
+
+export function parseScript(code) {
+  for (const sourceType of ["module", "script"]) {
+    try {
+      return parse(code, {
+        ecmaVersion: "latest",
+        sourceType,
+        allowHashBang: true,
+        allowReturnOutsideFunction: sourceType === "script",
+      });
+    } catch {
+      // Try the next source type
+    }
+  }
+  return null;
+}
+
+const isMember = (node, object, property) =>
+  node?.type === "MemberExpression" &&
+  !node.computed &&
+  node.property.name === property &&
+  (object === undefined ||
+    (node.object.type === "Identifier" && node.object.name === object) ||
+    (node.object.type === "MetaProperty" && object === "import.meta"));
+
+// Bases that mean "relative to the page", as in new URL(x, location.href)
+const isDocumentBase = (node) =>
+  isMember(node, "location", "href") ||
+  isMember(node, "document", "baseURI") ||
+  (node?.type === "Identifier" && node.name === "location") ||
+  (isMember(node, undefined, "href") &&
+    isMember(node.object, "self", "location")) ||
+  (isMember(node, undefined, "href") &&
+    isMember(node.object, "window", "location"));
+
+// Value of an expression built only from strings and consts we know
+function evaluate(node, consts) {
+  if (!node) return undefined;
+  switch (node.type) {
+    case "Literal":
+      return typeof node.value === "string" ? node.value : undefined;
+    case "TemplateLiteral": {
+      let out = node.quasis[0].value.cooked;
+      for (let i = 0; i < node.expressions.length; i++) {
+        const part = evaluate(node.expressions[i], consts);
+        if (part === undefined) return undefined;
+        out += part + node.quasis[i + 1].value.cooked;
+      }
+      return out;
+    }
+    case "BinaryExpression": {
+      if (node.operator !== "+") return undefined;
+      const left = evaluate(node.left, consts);
+      const right =
+        left === undefined ? undefined : evaluate(node.right, consts);
+      return right === undefined ? undefined : left + right;
+    }
+    case "Identifier":
+      return consts.get(node.name);
+    default:
+      return undefined;
+  }
+}
+
+// String consts declared exactly once anywhere in the program, so shadowing
+// can't make us resolve the wrong binding
+function collectConsts(ast) {
+  const declarations = new Map(); // name -> init node, or null if ambiguous
+  full(ast, (node) => {
+    if (node.type !== "VariableDeclarator" || node.id.type !== "Identifier") {
+      return;
+    }
+    const { name } = node.id;
+    declarations.set(name, declarations.has(name) ? null : node.init);
+  });
+
+  const consts = new Map();
+  // A few passes let consts built from other consts resolve
+  for (let pass = 0; pass < 3; pass++) {
+    for (const [name, init] of declarations) {
+      if (!init || consts.has(name)) continue;
+      const value = evaluate(init, consts);
+      if (value !== undefined) consts.set(name, value);
+    }
+  }
+  return consts;
+}
+
+/**
+ * Every URL reference in `code` as { start, end, value, context, quote },
+ * where start/end span the whole expression to replace. Returns null when
+ * the code does not parse, so callers can fall back to the regex scan.
+ */
+export function findReferences(code) {
+  const ast = parseScript(code);
+  if (!ast) return null;
+  const consts = collectConsts(ast);
+  const refs = [];
+  const tagged = new Set(); // quasis of tag`...`, which must stay templates
+
+  const add = (node, context) => {
+    const value = evaluate(node, consts);
+    if (value === undefined || value === "") return;
+    const quote = node.type === "Literal" ? code[node.start] : '"';
+    refs.push({ start: node.start, end: node.end, value, context, quote });
+  };
+
+  full(ast, (node) => {
+    switch (node.type) {
+      case "TaggedTemplateExpression":
+        tagged.add(node.quasi.start);
+        break;
+      case "ImportDeclaration":
+      case "ExportAllDeclaration":
+      case "ExportNamedDeclaration":
+        if (node.source) add(node.source, "import");
+        break;
+      case "ImportExpression":
+        add(node.source, "import");
+        break;
+      case "NewExpression": {
+        const callee = node.callee.type === "Identifier" && node.callee.name;
+        const [target, base] = node.arguments;
+        if (callee === "URL" && base) {
+          if (isMember(base, "import.meta", "url")) add(target, "module");
+          else if (isDocumentBase(base)) add(target, "document");
+        } else if (callee === "Worker" || callee === "SharedWorker") {
+          add(target, "document");
+        }
+        break;
+      }
+      case "CallExpression": {
+        const { callee } = node;
+        if (callee.type === "Identifier" && callee.name === "importScripts") {
+          node.arguments.forEach((arg) => add(arg, "module"));
+        } else if (callee.type === "Identifier" && callee.name === "fetch") {
+          add(node.arguments[0], "document");
+        } else if (
+          isMember(callee, undefined, "open") &&
+          node.arguments.length >= 2 &&
+          /^[A-Za-z]+$/.test(evaluate(node.arguments[0], consts) ?? "")
+        ) {
+          // xhr.open("GET", url)
+          add(node.arguments[1], "document");
+        } else if (
+          isMember(callee, undefined, "register") &&
+          isMember(callee.object, undefined, "serviceWorker")
+        ) {
+          add(node.arguments[0], "document");
+        }
+        break;
+      }
+      case "Literal":
+      case "TemplateLiteral": {
+        const value = evaluate(node, consts);
+        if (value && /^(https?:)?\/\/[^/\s]/.test(value)) add(node, "literal");
+        break;
+      }
+    }
+  });
+
+  // Keep the outermost reference where they overlap, so a concatenation wins
+  // over the string literals inside it, and prefer a specific context over
+  // "literal" for the same node
+  const literal = (ref) => (ref.context === "literal" ? 1 : 0);
+  refs.sort(
+    (a, b) => a.start - b.start || b.end - a.end || literal(a) - literal(b)
+  );
+  const kept = [];
+  for (const ref of refs) {
+    const last = kept.at(-1);
+    if (last && ref.start < last.end) continue;
+    if (tagged.has(ref.start)) continue;
+    kept.push(ref);
+  }
+  return kept;
+}
+
+// String literal source for `value` in the given quote style
+export function quoteString(value, quote) {
+  const json = JSON.stringify(value);
+  if (quote !== "'") return json;
+  return `'${json.slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+// Apply { start, end, text } replacements (non-overlapping) to code
+export function replaceRanges(code, replacements) {
+  let out = "";
+  let last = 0;
+  for (const { start, end, text } of [...replacements].sort(
+    (a, b) => a.start - b.start
+  )) {
+    out += code.slice(last, start) + text;
+    last = end;
+  }
+  return out + code.slice(last);
+}
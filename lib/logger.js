@@ -0,0 +1,36 @@
+/**
+ * Loggers for the command line (--quiet, --verbose, --log-format json).
+ * Each has log, warn and debug. The json one writes every message as a line
+ * of { time, level, message } for CI tools to parse.
+ */
+
+const LEVELS = { quiet: 0, normal: 1, verbose: 2 };
+
+// "  ⚠️  Failed to fetch x" -> "Failed to fetch x"
+function plain(args) {
+  return args
+    .join(" ")
+    .replace(/^[\s\p{Extended_Pictographic}\p{M}\u200d\u2190-\u21ff]+/u, "")
+    .trim();
+}
+
+export function createLogger({ format = "text", level = "normal" } = {}) {
+  const rank = LEVELS[level];
+  const off = () => {};
+  const line = (out, name) =>
+    format === "json"
+      ? (...args) =>
+          out(
+            JSON.stringify({
+              time: new Date().toISOString(),
+              level: name,
+              message: plain(args),
+            })
+          )
+      : out;
+  return {
+    log: rank >= LEVELS.normal ? line(console.log, "info") : off,
+    warn: line(console.warn, "warn"),
+    debug: rank >= LEVELS.verbose ? line(console.log, "debug") : off,
+  };
+}
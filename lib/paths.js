@@ -0,0 +1,94 @@
+/**
+ * Where URLs are saved. Every URL gets one path for good: paths from earlier
+ * runs are kept, names are made safe for every filesystem, and two URLs that
+ * would share a file, even one differing only in case, are told apart by a
+ * hash of the URL rather than by which came first.
+ */
+
+import { createHash } from "crypto";
+import path from "path";
+
+// Characters that are unsafe in file names on some systems
+const UNSAFE = /[<>:"|?*\\\x00-\x1f]/g;
+
+// Device names Windows reserves, with any extension
+const RESERVED = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\.|$)/i;
+
+// Longest name most filesystems take, in bytes
+const MAX_NAME = 255;
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+
+// "app.js" + "a1b2" -> "app-a1b2.js"
+function withSuffix(file, suffix) {
+  const ext = path.posix.extname(file);
+  return `${ext ? file.slice(0, -ext.length) : file}-${suffix}${ext}`;
+}
+
+// "/css/app.css", "?v=3" -> "/css/app-<hash>.css". The hash is a prefix of
+// the query's SHA-256, so it comes out the same on every run.
+export function withQueryHash(file, search) {
+  return withSuffix(file, sha256(search).slice(0, 10));
+}
+
+function safeName(name) {
+  name = name.replace(UNSAFE, "_");
+  // Windows drops trailing dots and spaces
+  name = name.replace(/[. ]+$/, (m) => "_".repeat(m.length));
+  if (RESERVED.test(name)) name = name.replace(/^[^.]+/, "$&_");
+  if (Buffer.byteLength(name) > MAX_NAME) {
+    const ext = path.posix.extname(name).slice(0, 16);
+    const hash = sha256(name).slice(0, 10);
+    let stem = name.slice(0, MAX_NAME - ext.length - hash.length - 1);
+    while (Buffer.byteLength(`${stem}-${hash}${ext}`) > MAX_NAME) {
+      stem = stem.slice(0, -1);
+    }
+    name = `${stem}-${hash}${ext}`;
+  }
+  return name;
+}
+
+// `file` with every segment safe to create on Windows, macOS and Linux
+export function safePath(file) {
+  return file.split("/").map(safeName).join("/");
+}
+
+// Two paths that land on the same file where case is ignored (macOS,
+// Windows) or Unicode is normalized (macOS)
+const pathKey = (file) =>
+  file.replace(/^\/+/, "").normalize("NFC").toLowerCase();
+
+/**
+ * URL -> path assignments for one mirror. reserve() records a path an
+ * earlier run used; assign() returns the URL's path, taking `candidate`
+ * (made safe) unless another URL has it, in which case a hash of the URL
+ * is added.
+ */
+export function createPathMap() {
+  const byUrl = new Map(); // url -> path
+  const owners = new Map(); // path key -> url
+
+  const take = (url, file) => {
+    byUrl.set(url, file);
+    owners.set(pathKey(file), url);
+    return file;
+  };
+
+  return {
+    reserve(url, file) {
+      if (!byUrl.has(url) && !owners.has(pathKey(file))) take(url, file);
+    },
+    assign(url, candidate) {
+      if (byUrl.has(url)) return byUrl.get(url);
+      let file = safePath(candidate);
+      if (owners.has(pathKey(file))) {
+        const hashed = withSuffix(file, sha256(url).slice(0, 8));
+        file = hashed;
+        for (let n = 2; owners.has(pathKey(file)); n++) {
+          file = withSuffix(hashed, n);
+        }
+      }
+      return take(url, file);
+    },
+  };
+}
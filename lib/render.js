@@ -0,0 +1,181 @@
+/**
+ * Page rendering for client-side apps (--render). Runs a page's scripts in
+ * jsdom, with every resource, fetch() and XHR going through the caller's
+ * fetcher so requests are recorded and bodies are shared with the mirror,
+ * then waits for the network to go quiet and returns the rendered DOM.
+ */
+
+import { JSDOM, ResourceLoader, VirtualConsole } from "jsdom";
+
+// How long the network has to stay quiet before the page counts as rendered
+const IDLE_MS = 500;
+
+// Windows being rendered, each with what to do when one of its promises is
+// rejected and nothing catches it. A page's own bugs (a failed fetch() it
+// doesn't handle, an import() jsdom can't run) count as script errors of
+// that page. Other rejections belong to the host application: its own
+// listeners deal with them, and with none, Node's default of ending the
+// process still applies.
+const windows = new Map(); // window -> (reason) => void
+const onRejection = (reason, promise) => {
+  for (const [window, rejected] of windows) {
+    if (promise instanceof window.Promise) return rejected(reason);
+  }
+  if (process.listenerCount("unhandledRejection") === 1) throw reason;
+};
+const watch = (window, rejected) => {
+  if (!windows.size) process.on("unhandledRejection", onRejection);
+  windows.set(window, rejected);
+};
+const unwatch = (window) => {
+  windows.delete(window);
+  if (!windows.size) process.off("unhandledRejection", onRejection);
+};
+
+/**
+ * Render `html` as if loaded from `pageUrl`. `fetchResource(url)` resolves
+ * to { status, contentType, body }, HTTP errors included, and throws when
+ * the resource can't be had at all. Resolves to { html, requests, errors }
+ * where requests lists every http(s) URL the page asked for, in order.
+ */
+export async function renderPage(
+  pageUrl,
+  html,
+  { fetchResource, timeout = 30000 }
+) {
+  const requests = new Set();
+  let pending = 0;
+  let lastActivity = Date.now();
+
+  const track = (url, promise) => {
+    if (/^https?:/.test(url)) requests.add(url);
+    pending++;
+    return promise.finally(() => {
+      pending--;
+      lastActivity = Date.now();
+    });
+  };
+
+  class Loader extends ResourceLoader {
+    fetch(url, options) {
+      if (!/^https?:/.test(url)) return super.fetch(url, options);
+      const promise = track(
+        url,
+        fetchResource(url).then(({ status, body }) => {
+          if (status >= 400) throw new Error(`HTTP ${status} ${url}`);
+          return body;
+        })
+      );
+      promise.abort = () => {};
+      return promise;
+    }
+  }
+
+  let errors = 0;
+  let closed = false;
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", () => errors++);
+
+  const dom = new JSDOM(html, {
+    url: pageUrl,
+    contentType: "text/html",
+    runScripts: "dangerously",
+    resources: new Loader(),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      watch(window, () => errors++);
+
+      // Promises the page gets are the page's own, so its handlers (or the
+      // lack of them) work as in a browser. Errors keep their type: a
+      // TypeError for a failed request, a SyntaxError for bad JSON. Nothing
+      // settles once the page is closed.
+      const windowError = (e) =>
+        ["TypeError", "SyntaxError", "RangeError"].includes(e?.name)
+          ? window[e.name]
+          : window.Error;
+      const inWindow = (promise) =>
+        new window.Promise((resolve, reject) =>
+          promise.then(
+            (value) => closed || resolve(value),
+            (e) => closed || reject(new (windowError(e))(e?.message))
+          )
+        );
+      // A Response whose body promises are the page's too
+      const windowResponse = (response) =>
+        new Proxy(response, {
+          get(target, key) {
+            const value = Reflect.get(target, key, target);
+            if (typeof value !== "function") return value;
+            return (...args) => {
+              const result = value.apply(target, args);
+              return result instanceof Promise ? inWindow(result) : result;
+            };
+          },
+        });
+
+      // jsdom has no fetch(); GETs are answered from the fetcher, HTTP
+      // errors with their status as a browser would
+      const get = async (input, init) => {
+        const url = new URL(String(input?.url ?? input), window.location.href)
+          .href;
+        const method = (init.method || input?.method || "GET").toUpperCase();
+        if (method !== "GET" && method !== "HEAD") {
+          throw new TypeError(`${method} ${url} is not sent while rendering`);
+        }
+        const { status, contentType, body } = await track(
+          url,
+          fetchResource(url)
+        );
+        const response = new Response(
+          method === "HEAD" || [204, 304].includes(status) ? null : body,
+          {
+            status,
+            headers: contentType ? { "content-type": contentType } : {},
+          }
+        );
+        return windowResponse(response);
+      };
+      window.fetch = (input, init = {}) => inWindow(get(input, init));
+
+      // XHRs go over jsdom's own network stack; note them and wait for them
+      const { open, send } = window.XMLHttpRequest.prototype;
+      window.XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        this._broddyUrl = new URL(url, window.location.href).href;
+        return open.call(this, method, url, ...rest);
+      };
+      window.XMLHttpRequest.prototype.send = function (...args) {
+        track(
+          this._broddyUrl,
+          new Promise((resolve) =>
+            this.addEventListener("loadend", resolve, { once: true })
+          )
+        );
+        return send.apply(this, args);
+      };
+    },
+  });
+
+  const { window } = dom;
+  const deadline = Date.now() + timeout;
+  try {
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, timeout);
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      if (window.document.readyState === "complete") done();
+      else window.addEventListener("load", done, { once: true });
+    });
+    while (Date.now() < deadline) {
+      if (pending === 0 && Date.now() - lastActivity >= IDLE_MS) break;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    return { html: dom.serialize(), requests: [...requests], errors };
+  } finally {
+    closed = true;
+    window.close();
+    unwatch(window);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * API fixtures and their replay shim (--record-api). Recorded responses are
+ * stored as <name>.json (method, url, status, headers) plus <name>.body, and
+ * replay.js answers the app's fetch() and XHR calls from them so the mirror
+ * runs without a backend.
+ */
+
+import { createHash } from "crypto";
+
+// Response headers that describe the transfer rather than the content
+const SKIP_HEADERS = new Set([
+  "connection",
+  "content-encoding",
+  "content-length",
+  "keep-alive",
+  "set-cookie",
+  "transfer-encoding",
+]);
+
+export function fixtureHeaders(headers) {
+  const kept = {};
+  for (const [name, value] of headers) {
+    if (!SKIP_HEADERS.has(name.toLowerCase())) kept[name] = value;
+  }
+  return kept;
+}
+
+// Readable, collision-free file name for a request: "GET /api/items?page=2"
+// -> "get-api-items-page-2-1a2b3c4d"
+export function fixtureName(method, key) {
+  const slug = `${method} ${key}`
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+  const hash = createHash("sha1")
+    .update(`${method} ${key}`)
+    .digest("hex")
+    .slice(0, 8);
+  return `${slug}-${hash}`;
+}
+
+// Runs in the browser. `fixtures` maps "GET /path?query" (or the full URL
+// for other hosts) to { status, headers, body }, body being a file next to
+// this script.
+function replay(origin, fixtures) {
+  const dir = new URL(".", document.currentScript.src).href;
+
+  const find = (method, input) => {
+    let url;
+    try {
+      url = new URL(input, location.href);
+    } catch {
+      return null;
+    }
+    const path = url.pathname + url.search;
+    const sameSite = url.origin === location.origin || url.origin === origin;
+    const exact = fixtures[`${method} ${sameSite ? path : url.href}`];
+    if (exact || !sameSite) return exact || null;
+    // Served from a subfolder or file://, "/api/x" arrives as ".../api/x"
+    for (const key of Object.keys(fixtures)) {
+      const [m, recorded] = key.split(" ");
+      if (m === method && recorded.startsWith("/") && path.endsWith(recorded)) {
+        return fixtures[key];
+      }
+    }
+    return null;
+  };
+
+  const realFetch = window.fetch && window.fetch.bind(window);
+  if (realFetch) {
+    window.fetch = async (input, init = {}) => {
+      const method = (init.method || input.method || "GET").toUpperCase();
+      const fixture = find(method, input.url || String(input));
+      if (!fixture) return realFetch(input, init);
+      const body = await (await realFetch(dir + fixture.body)).blob();
+      const empty = method === "HEAD" || [204, 304].includes(fixture.status);
+      return new Response(empty ? null : body, {
+        status: fixture.status,
+        headers: fixture.headers,
+      });
+    };
+  }
+
+  const { open } = XMLHttpRequest.prototype;
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    const fixture = find(String(method).toUpperCase(), url);
+    if (!fixture) return open.call(this, method, url, ...rest);
+    Object.defineProperty(this, "status", { get: () => fixture.status });
+    return open.call(this, "GET", dir + fixture.body, ...rest);
+  };
+}
+
+// Source of replay.js for the given site origin and fixtures
+export function replayScript(origin, fixtures) {
+  return `// Generated by broddy: answers recorded API calls from local fixtures\n(${replay})(${JSON.stringify(
+    origin
+  )}, ${JSON.stringify(fixtures, null, 2)});\n`;
+}
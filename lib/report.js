@@ -0,0 +1,112 @@
+/**
+ * Run reports: the --report summary of every URL and the --har archive of
+ * every request, in HAR 1.2 as browsers' devtools read it. Bodies are left
+ * out; credentials are redacted.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+
+// 1536 -> "1.5 KB"
+export function formatBytes(n) {
+  const units = ["B", "KB", "MB", "GB"];
+  let unit = 0;
+  while (n >= 1024 && unit < units.length - 1) {
+    n /= 1024;
+    unit++;
+  }
+  return `${unit ? n.toFixed(1) : n} ${units[unit]}`;
+}
+
+// Headers whose values stay out of the archive
+export const REDACTED = new Set(["authorization", "cookie", "set-cookie"]);
+
+function harHeaders(headers) {
+  const list = [];
+  const add = (name, value) =>
+    list.push({
+      name,
+      value: REDACTED.has(name.toLowerCase()) ? "[redacted]" : String(value),
+    });
+  if (typeof headers?.raw === "function") {
+    // node-fetch keeps repeated headers (Set-Cookie) apart here
+    for (const [name, values] of Object.entries(headers.raw())) {
+      values.forEach((value) => add(name, value));
+    }
+  } else {
+    Object.entries(headers || {}).forEach(([name, value]) => add(name, value));
+  }
+  return list;
+}
+
+/**
+ * HAR entry for one request to `url`. `res` is missing when the request
+ * failed with `error`; `size` is the body length and `time` how long it took
+ * in ms.
+ */
+export function harEntry({
+  method = "GET",
+  url,
+  headers,
+  res,
+  error,
+  started,
+  time,
+  size = 0,
+}) {
+  const { searchParams } = new URL(url);
+  return {
+    startedDateTime: new Date(started).toISOString(),
+    time,
+    request: {
+      method,
+      url,
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: harHeaders(headers),
+      queryString: [...searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: 0,
+    },
+    response: {
+      status: res?.status ?? 0,
+      statusText: res?.statusText ?? "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: harHeaders(res?.headers),
+      content: {
+        size,
+        mimeType: res?.headers.get("content-type") || "",
+      },
+      redirectURL: res?.headers.get("location") || "",
+      headersSize: -1,
+      bodySize: size,
+      ...(error && { _error: error.message }),
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+  };
+}
+
+// Write `data` as JSON to `file`, making its folder as needed
+export async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+// HAR 1.2 document for `entries`
+export async function harLog(entries) {
+  const pkg = JSON.parse(
+    await fs.readFile(new URL("../package.json", import.meta.url), "utf8")
+  );
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "broddy", version: pkg.version },
+      pages: [],
+      entries: [...entries].sort((a, b) =>
+        a.startedDateTime.localeCompare(b.startedDateTime)
+      ),
+    },
+  };
+}
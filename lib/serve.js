@@ -0,0 +1,216 @@
+/**
+ * Preview server for a mirror (broddy serve). Maps request URLs to files the
+ * way the mirror saved them, using the manifest where there is one, answers
+ * with the Content-Type the original server sent, follows the redirects in
+ * _redirects, falls back to index.html for client-side routes and answers
+ * with 404.html, logging every 404.
+ */
+
+import { createReadStream, promises as fs } from "fs";
+import http from "http";
+import path from "path";
+
+export const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".cjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".xml": "application/xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".eot": "application/vnd.ms-fontobject",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+  ".ogg": "audio/ogg",
+  ".wav": "audio/wav",
+  ".wasm": "application/wasm",
+  ".pdf": "application/pdf",
+};
+
+// "/docs/a%20b" -> "/docs/a b"; malformed escapes are kept as they are
+export function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return pathname;
+  }
+}
+
+// Decoded url path (+ query) -> { path, contentType } from the mirror's
+// manifest. Files are named after the encoded path, so "/docs/a b" maps to
+// docs/a%20b.html; paths are relative to the mirror, without a leading "/".
+export async function loadLayout(dir) {
+  const layout = new Map();
+  let entries = {};
+  try {
+    const manifest = path.join(dir, ".broddy", "manifest.json");
+    ({ entries = {} } = JSON.parse(await fs.readFile(manifest, "utf8")));
+  } catch {
+    // Not a broddy mirror, or an old one: plain file lookup only
+  }
+  for (const [url, entry] of Object.entries(entries)) {
+    if (
+      entry.status !== "complete" ||
+      !entry.path ||
+      ["api", "notfound"].includes(entry.kind)
+    ) {
+      continue;
+    }
+    const { pathname, search } = new URL(url);
+    // Other hosts are requested by their _external/ path
+    if (entry.path.replace(/^\/+/, "").startsWith("_external/")) continue;
+    const value = {
+      path: entry.path.replace(/^\/+/, ""),
+      contentType: entry.contentType,
+    };
+    layout.set(decodePath(pathname) + search, value);
+    if (!layout.has(decodePath(pathname))) {
+      layout.set(decodePath(pathname), value);
+    }
+  }
+  return layout;
+}
+
+// path -> { location, status } for the plain redirects in _redirects
+async function loadRedirects(dir) {
+  const redirects = new Map();
+  let text = "";
+  try {
+    text = await fs.readFile(path.join(dir, "_redirects"), "utf8");
+  } catch {
+    return redirects;
+  }
+  for (const line of text.split(/\r?\n/)) {
+    const [from, location, status] = line.trim().split(/\s+/);
+    // Rewrites (200) and splats are the SPA fallback's business
+    if (!/^3\d\d$/.test(status) || from.includes("*")) continue;
+    redirects.set(from, { location, status: Number(status) });
+  }
+  return redirects;
+}
+
+const isFile = (file) =>
+  fs.stat(file).then(
+    (stat) => stat.isFile(),
+    () => false
+  );
+
+/**
+ * Serve `dir` on `port`. `basePath` ("/mirrors/site/") is where the mirror
+ * appears on the server; `log` and `warn` report requests and 404s.
+ * Resolves with the listening http.Server.
+ */
+export async function serve(
+  dir,
+  { port = 8080, basePath = "/", log = console.log, warn = console.warn } = {}
+) {
+  const root = path.resolve(dir);
+  const prefix = `/${basePath.replace(/^\/+|\/+$/g, "")}/`.replace("//", "/");
+  const layout = await loadLayout(root);
+  const redirects = await loadRedirects(root);
+  let missing = 0;
+
+  // Mirror file for a request path, or null
+  const locate = async (pathname, search) => {
+    const known = layout.get(pathname + search) || layout.get(pathname);
+    if (known) return known;
+
+    const file = path.join(root, pathname);
+    // Never serve anything outside the mirror
+    if (file !== root && !file.startsWith(root + path.sep)) return null;
+    const candidates = pathname.endsWith("/")
+      ? [path.join(file, "index.html")]
+      : [file, `${file}.html`, path.join(file, "index.html")];
+    for (const candidate of candidates) {
+      if (await isFile(candidate)) {
+        return { path: path.relative(root, candidate) };
+      }
+    }
+    return null;
+  };
+
+  const send = (req, res, status, found) => {
+    const file = path.join(root, found.path);
+    const type =
+      found.contentType && found.contentType !== "application/octet-stream"
+        ? found.contentType
+        : CONTENT_TYPES[path.extname(file).toLowerCase()] ||
+          "application/octet-stream";
+    res.writeHead(status, {
+      "content-type": type,
+      "cache-control": "no-cache",
+    });
+    if (req.method === "HEAD") return res.end();
+    createReadStream(file)
+      .on("error", () => res.destroy())
+      .pipe(res);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    let pathname = decodePath(url.pathname);
+
+    if (`${pathname}/` === prefix) {
+      res.writeHead(301, { location: prefix });
+      return res.end();
+    }
+    const redirect = redirects.get(pathname);
+    if (redirect) {
+      log(`  ↪️  ${req.url} → ${redirect.location}`);
+      res.writeHead(redirect.status, { location: redirect.location });
+      return res.end();
+    }
+    if (!pathname.startsWith(prefix)) {
+      missing++;
+      warn(`  ⚠️  404 ${req.method} ${req.url} (outside ${prefix})`);
+      res.writeHead(404, { "content-type": "text/plain" });
+      return res.end("Not found");
+    }
+    pathname = `/${pathname.slice(prefix.length)}`;
+
+    const found = await locate(pathname, url.search);
+    if (found) return send(req, res, 200, found);
+
+    // History API routes: extensionless paths asking for html get the app
+    const wantsHtml = (req.headers.accept || "").includes("text/html");
+    if (wantsHtml && !path.extname(pathname)) {
+      const app = await locate("/", "");
+      if (app) {
+        log(`  ↩️  ${req.url} → index.html`);
+        return send(req, res, 200, app);
+      }
+    }
+
+    missing++;
+    warn(`  ⚠️  404 ${req.method} ${req.url}`);
+    const notFound = await locate("/404.html", "");
+    if (notFound) return send(req, res, 404, notFound);
+    res.writeHead(404, { "content-type": "text/plain" });
+    res.end("Not found");
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, resolve);
+  });
+  log(`🌐 Serving ${root} at http://localhost:${port}${prefix}`);
+  server.on("close", () => log(`📊 ${missing} requests not found`));
+  return server;
+}
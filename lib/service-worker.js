@@ -0,0 +1,98 @@
+/**
+ * Service workers in a mirror (--service-worker). A captured worker goes on
+ * answering from caches it filled on the live site, and its precache list
+ * names files by their live paths. "strip" swaps the worker for one that
+ * clears those caches and handles nothing; "rewrite" points Workbox-style
+ * precache manifests (what __WB_MANIFEST becomes at build time) at the
+ * local copies with fresh revisions.
+ */
+
+// Worker replacing the site's with --service-worker strip. Without a fetch
+// handler every request goes to the mirror.
+export const STRIPPED_WORKER = `// Service worker removed from the mirror by broddy
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+`;
+
+// Whether `code` looks like a service worker: Workbox, or handlers for the
+// events only a worker gets
+export function isServiceWorker(code) {
+  return (
+    /\b__WB_MANIFEST\b|\bprecacheAndRoute\s*\(|\bskipWaiting\s*\(/.test(code) ||
+    /\baddEventListener\s*\(\s*(["'`])(install|activate|fetch)\1/.test(code)
+  );
+}
+
+// A quoted string, as the third group (quote) and fourth (contents)
+const STRING = String.raw`(["'\`])((?:\\.|(?!\3)[^\\])*)\3`;
+// "url": "..." in an object literal, key quoted or not
+const field = (name, value = STRING) =>
+  new RegExp(String.raw`(^|[{,\s])(["']?${name}["']?\s*:\s*)${value}`);
+const URL_FIELD = field("url");
+const REVISION_FIELD = field("revision", `(?:null|${STRING})`);
+const INTEGRITY_FIELD = field("integrity");
+
+/**
+ * Precache entries in `code`: object literals with a url and a revision,
+ * as [{ start, end, url, revision, integrity }]. Revision and integrity are
+ * null where the entry has none.
+ */
+export function findPrecache(code) {
+  const entries = [];
+  for (const match of code.matchAll(/\{[^{}]*\}/g)) {
+    const text = match[0];
+    const url = text.match(URL_FIELD);
+    const revision = text.match(REVISION_FIELD);
+    if (!url || !revision) continue;
+    entries.push({
+      start: match.index,
+      end: match.index + text.length,
+      url: url[4],
+      revision: revision[4] ?? null,
+      integrity: text.match(INTEGRITY_FIELD)?.[4] ?? null,
+    });
+  }
+  return entries;
+}
+
+/**
+ * `code` with every precache entry replaced by what `replace(entry)`
+ * returns, { url, revision, integrity }, or dropped when it returns null.
+ */
+export function rewritePrecache(code, replace) {
+  const entries = findPrecache(code);
+  const replacements = entries.map((entry) => replace(entry));
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    const next = replacements[i];
+    let { start, end } = entry;
+    let text = "";
+    if (next) {
+      const set = (pattern, value) => (source) =>
+        source.replace(
+          pattern,
+          (m, before, key) => `${before}${key}${JSON.stringify(value)}`
+        );
+      text = [
+        set(URL_FIELD, next.url),
+        set(REVISION_FIELD, next.revision),
+        next.integrity ? set(INTEGRITY_FIELD, next.integrity) : (s) => s,
+      ].reduce((source, apply) => apply(source), code.slice(start, end));
+    } else {
+      // Take a separating comma along
+      const after = code.slice(end).match(/^\s*,/);
+      const before = code.slice(0, start).match(/,\s*$/);
+      if (after) end += after[0].length;
+      else if (before) start -= before[0].length;
+    }
+    code = code.slice(0, start) + text + code.slice(end);
+  }
+  return code;
+}
@@ -0,0 +1,176 @@
+/**
+ * Self-contained pages (--single-file). Reads a finished mirror and inlines
+ * each page's stylesheets, scripts, images, icons and fonts as data URIs, so
+ * the page opens on its own from anywhere. Stylesheets have their url()s and
+ * @imports inlined in turn. Links to other pages are left as they are.
+ * References are resolved through the manifest, so "/css/app.css?v=1" finds
+ * the file that URL was saved as.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { load } from "cheerio";
+import { cssReferences, rewriteCss } from "./css.js";
+import { parseSrcset, serializeSrcset } from "./extract.js";
+import { CONTENT_TYPES, decodePath, loadLayout } from "./serve.js";
+
+// Stand-in origin for the mirror, so references resolve like URLs
+const LOCAL = "http://mirror.invalid";
+
+// Resource hints for files that are now inlined would only cause 404s
+const HINTS = "preload modulepreload prefetch".split(" ");
+
+// Elements and attributes holding a single file reference
+const REFERENCES = [
+  ["img", "src"],
+  ["picture > source", "src"],
+  ["input[type=image]", "src"],
+  ["video", "poster"],
+  ["link[rel~=icon], link[rel~=apple-touch-icon]", "href"],
+  ["svg image", "href"],
+  ["svg image", "xlink:href"],
+  ["script[src]", "src"],
+];
+
+/**
+ * Inliner for the mirror in `dir`, served under `root`. `types` maps saved
+ * paths to the Content-Type they were served with. inline(file) resolves
+ * with the self-contained HTML of the page saved at `file`.
+ */
+export function createInliner(dir, { root = "/", types = new Map() } = {}) {
+  const prefix = `/${root.replace(/^\/+|\/+$/g, "")}/`.replace("//", "/");
+  const layout = loadLayout(dir);
+
+  // Mirror-relative path a reference from `from` points at, the way
+  // `broddy serve` would find it, or null when it points off the mirror
+  const target = async (ref, from) => {
+    if (!ref || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(ref.trim())) return null;
+    let url;
+    try {
+      url = new URL(ref.trim(), `${LOCAL}${prefix}${from}`);
+    } catch {
+      return null;
+    }
+    const pathname = decodePath(url.pathname);
+    if (!pathname.startsWith(prefix)) return null;
+    const file = pathname.slice(prefix.length);
+    const known =
+      (await layout).get(`/${file}${url.search}`) ||
+      (await layout).get(`/${file}`);
+    return known ? known.path : file || null;
+  };
+
+  const read = async (file) => {
+    try {
+      return await fs.readFile(path.join(dir, file));
+    } catch {
+      return null;
+    }
+  };
+
+  const dataUrl = (file, data) => {
+    const type =
+      types.get(file) ||
+      CONTENT_TYPES[path.extname(file).toLowerCase()] ||
+      "application/octet-stream";
+    return `data:${type.replace(/\s+/g, "")};base64,${data.toString("base64")}`;
+  };
+
+  // Data URI for the file `ref` points at from `from`, or null
+  const embed = async (ref, from) => {
+    const file = await target(ref, from);
+    const data = file && (await read(file));
+    if (!data) return null;
+    if (path.extname(file).toLowerCase() === ".css") {
+      return dataUrl(file, Buffer.from(await inlineCss(data.toString(), file)));
+    }
+    return dataUrl(file, data);
+  };
+
+  // CSS with every @import and url() it can resolve replaced by a data URI.
+  // `parents` guards against import cycles.
+  const inlineCss = async (css, from, parents = new Set([from])) => {
+    const replacements = new Map();
+    for (const ref of cssReferences(css)) {
+      if (/^data:/i.test(ref.url)) continue;
+      if (ref.context !== "import") {
+        replacements.set(ref.start, await embed(ref.url, from));
+        continue;
+      }
+      // What a stylesheet imports is CSS whatever its name
+      const file = await target(ref.url, from);
+      const data = file && !parents.has(file) && (await read(file));
+      if (!data) continue;
+      const inner = await inlineCss(
+        data.toString(),
+        file,
+        new Set([...parents, file])
+      );
+      replacements.set(
+        ref.start,
+        `data:text/css;base64,${Buffer.from(inner).toString("base64")}`
+      );
+    }
+    return rewriteCss(css, (ref) => replacements.get(ref.start));
+  };
+
+  return {
+    async inline(file) {
+      const $ = load(await fs.readFile(path.join(dir, file), "utf8"));
+
+      // The page's policy was written for the files on the live site; the
+      // data: scripts and <style> blocks that replace them would break it
+      $('meta[http-equiv="content-security-policy" i]').remove();
+
+      for (const el of $("style").toArray()) {
+        $(el).text(await inlineCss($(el).text(), file));
+      }
+      for (const el of $("[style]").toArray()) {
+        $(el).attr("style", await inlineCss($(el).attr("style"), file));
+      }
+
+      // <link rel=stylesheet> -> <style>, keeping its media
+      for (const el of $("link[rel~=stylesheet][href]").toArray()) {
+        const css = await target($(el).attr("href"), file);
+        const data = css && (await read(css));
+        if (!data) continue;
+        const style = $("<style>").text(
+          (await inlineCss(data.toString(), css)).replace(
+            /<\/style/gi,
+            "<\\/style"
+          )
+        );
+        const media = $(el).attr("media");
+        if (media) style.attr("media", media);
+        $(el).replaceWith(style);
+      }
+
+      for (const el of $("link[rel]").toArray()) {
+        const rels = $(el).attr("rel").toLowerCase().split(/\s+/);
+        if (
+          rels.some((rel) => HINTS.includes(rel)) &&
+          (await target($(el).attr("href"), file))
+        ) {
+          $(el).remove();
+        }
+      }
+
+      for (const [selector, attr] of REFERENCES) {
+        for (const el of $(selector).toArray()) {
+          const uri = await embed($(el).attr(attr), file);
+          if (uri) $(el).attr(attr, uri);
+        }
+      }
+
+      for (const el of $("img[srcset], picture > source[srcset]").toArray()) {
+        const candidates = parseSrcset($(el).attr("srcset"));
+        for (const candidate of candidates) {
+          candidate.url = (await embed(candidate.url, file)) ?? candidate.url;
+        }
+        $(el).attr("srcset", serializeSrcset(candidates));
+      }
+
+      return $.html();
+    },
+  };
+}
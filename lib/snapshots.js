@@ -0,0 +1,204 @@
+/**
+ * Snapshots of a site over time (--snapshot) and what changed between two
+ * mirrors (broddy diff). Each snapshot is a complete mirror in a timestamped
+ * folder, its files hard-linked through the store shared by all of them, so
+ * an unchanged page or asset costs no extra space. Mirrors are compared URL
+ * by URL through the paths their manifests record, so a file that was
+ * renamed still pairs up with its earlier self.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { formatBytes } from "./report.js";
+import { unifiedDiff } from "./text-diff.js";
+
+// 2026-10-19T08-30-00Z, sortable and valid on every filesystem
+const SNAPSHOT_NAME = /^\d{4}-\d\d-\d\dT\d\d-\d\d-\d\dZ(-\d+)?$/;
+
+// Types shown as a text diff when they change
+const TEXT_TYPES = new Set(["html", "css", "js", "mjs"]);
+const TEXT_EXTENSIONS = {
+  ".html": "html",
+  ".htm": "html",
+  ".css": "css",
+  ".js": "js",
+  ".mjs": "js",
+  ".cjs": "js",
+};
+
+// Snapshot folders in `root`, oldest first
+export async function listSnapshots(root) {
+  let names = [];
+  try {
+    names = await fs.readdir(root);
+  } catch {
+    return [];
+  }
+  const snapshots = [];
+  for (const name of names.filter((name) => SNAPSHOT_NAME.test(name))) {
+    const manifest = path.join(root, name, ".broddy", "manifest.json");
+    if (await fs.stat(manifest).catch(() => null)) snapshots.push(name);
+  }
+  // A second snapshot in the same second is "<time>-2"
+  const order = (name) => [name.slice(0, 20), Number(name.slice(21) || 1)];
+  return snapshots.sort((a, b) => {
+    const [timeA, nA] = order(a);
+    const [timeB, nB] = order(b);
+    return timeA === timeB ? nA - nB : timeA < timeB ? -1 : 1;
+  });
+}
+
+/**
+ * A new snapshot folder in `root`, named for `date`. Resolves to
+ * { dir, previous }, previous being the latest snapshot before it or null.
+ */
+export async function createSnapshot(root, date = new Date()) {
+  const existing = await listSnapshots(root);
+  const stamp = date
+    .toISOString()
+    .replace(/\.\d+Z$/, "Z")
+    .replace(/:/g, "-");
+  await fs.mkdir(root, { recursive: true });
+  let name = stamp;
+  for (let n = 2; ; n++) {
+    try {
+      await fs.mkdir(path.join(root, name));
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      name = `${stamp}-${n}`;
+    }
+  }
+  return {
+    dir: path.join(root, name),
+    previous: existing.length ? path.join(root, existing.at(-1)) : null,
+  };
+}
+
+// url -> manifest entry for every file a mirror saved
+async function savedFiles(dir) {
+  const file = path.join(dir, ".broddy", "manifest.json");
+  let entries;
+  try {
+    ({ entries = {} } = JSON.parse(await fs.readFile(file, "utf8")));
+  } catch {
+    throw new Error(`${dir} has no .broddy/manifest.json`);
+  }
+  return new Map(
+    Object.entries(entries).filter(
+      ([, entry]) => entry.status === "complete" && entry.path
+    )
+  );
+}
+
+// Pages, redirects and the 404 page against assets and API fixtures
+const kindOf = (entry) =>
+  entry.kind === "asset" || entry.kind === "api" ? "asset" : "page";
+const typeOf = (entry) =>
+  entry.type || TEXT_EXTENSIONS[path.extname(entry.path).toLowerCase()];
+
+// "+1.2 KB", "-300 B"
+const signed = (n) => `${n < 0 ? "-" : "+"}${formatBytes(Math.abs(n))}`;
+
+/**
+ * Compare the mirror in `a` with the one in `b`. Resolves to
+ * { added, removed, changed, unchanged }: the first three list
+ * { url, kind, path, size } (changed ones with the size in `a` as `before`,
+ * the size change as `delta` and, for HTML, CSS and JS, a unified `diff`),
+ * unchanged is a count. With `text` false no diffs are made.
+ */
+export async function diffMirrors(
+  a,
+  b,
+  { text = true, context = 3, log = console.log } = {}
+) {
+  const rootA = path.resolve(a);
+  const rootB = path.resolve(b);
+  const [before, after] = await Promise.all([
+    savedFiles(rootA),
+    savedFiles(rootB),
+  ]);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  const urls = [...new Set([...before.keys(), ...after.keys()])].sort();
+  for (const url of urls) {
+    const old = before.get(url);
+    const now = after.get(url);
+    const fileA = old && path.join(rootA, old.path);
+    const fileB = now && path.join(rootB, now.path);
+    // A file deleted from a mirror since counts as never saved there
+    const [statA, statB] = await Promise.all([
+      fileA && fs.stat(fileA).catch(() => null),
+      fileB && fs.stat(fileB).catch(() => null),
+    ]);
+    if (!statA && !statB) continue;
+    if (!statA || !statB) {
+      const entry = statB ? now : old;
+      (statB ? added : removed).push({
+        url,
+        kind: kindOf(entry),
+        path: entry.path,
+        size: entry.size,
+      });
+      continue;
+    }
+
+    // Snapshots share unchanged files: the same inode is the same content
+    if (statA.ino === statB.ino && statA.dev === statB.dev) {
+      unchanged++;
+      continue;
+    }
+    const [dataA, dataB] = await Promise.all([
+      fs.readFile(fileA),
+      fs.readFile(fileB),
+    ]);
+    if (dataA.equals(dataB) && old.location === now.location) {
+      unchanged++;
+      continue;
+    }
+    const type = typeOf(now);
+    changed.push({
+      url,
+      kind: kindOf(now),
+      path: now.path,
+      size: dataB.length,
+      before: dataA.length,
+      delta: dataB.length - dataA.length,
+      diff:
+        text && TEXT_TYPES.has(type)
+          ? unifiedDiff(dataA.toString("utf8"), dataB.toString("utf8"), {
+              from: `a/${old.path.replace(/^\/+/, "")}`,
+              to: `b/${now.path.replace(/^\/+/, "")}`,
+              context,
+            })
+          : undefined,
+    });
+  }
+
+  added.forEach(({ url, kind, size }) =>
+    log(`  ➕ ${kind} ${url} (${formatBytes(size ?? 0)})`)
+  );
+  removed.forEach(({ url, kind, size }) =>
+    log(`  ➖ ${kind} ${url} (${formatBytes(size ?? 0)})`)
+  );
+  changed.forEach(({ url, kind, size, delta, diff }) => {
+    log(`  ✏️  ${kind} ${url} (${formatBytes(size)}, ${signed(delta)})`);
+    if (diff) log(diff);
+  });
+  const summary = (kind) => {
+    const count = (list) => list.filter((item) => item.kind === kind).length;
+    return `${count(added)} added, ${count(removed)} removed, ${count(
+      changed
+    )} changed`;
+  };
+  log(
+    `📊 Pages: ${summary("page")}. Assets: ${summary(
+      "asset"
+    )}. ${unchanged} unchanged`
+  );
+
+  return { added, removed, changed, unchanged };
+}
@@ -0,0 +1,144 @@
+/**
+ * Original source extraction (--extract-sources). Writes every source a map
+ * lists under a path derived from its name, so webpack://app/./src/a.ts ends
+ * up at webpack/app/src/a.ts, and keeps an index.json of the bundles each
+ * file came from.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+
+// Decoded body of a data: URL, or null when it isn't one
+export function parseDataUrl(value) {
+  const match = value.match(/^data:([^,]*?)(;base64)?,(.*)$/s);
+  if (!match) return null;
+  try {
+    return match[2]
+      ? Buffer.from(match[3], "base64")
+      : Buffer.from(decodeURIComponent(match[3]));
+  } catch {
+    return null;
+  }
+}
+
+// Characters that are unsafe in file names on some systems
+const UNSAFE = /[<>:"|?*\x00-\x1f]/g;
+
+/**
+ * Relative file path for a source map entry. Schemes become a top-level
+ * folder (webpack://, vite://, http://host/...), "." and ".." segments are
+ * resolved without ever leaving that folder, and loader queries such as
+ * "?5a3c" are removed.
+ */
+export function sourceFilePath(source, sourceRoot = "") {
+  let name = source;
+  if (sourceRoot && !/^[a-z][a-z0-9+.-]*:/i.test(source)) {
+    name = sourceRoot.replace(/\/?$/, "/") + source;
+  }
+  name = name.replace(/[?#].*$/, "");
+
+  const scheme = name.match(/^([a-z][a-z0-9+.-]*):\/*/i);
+  const segments = [];
+  if (scheme) {
+    segments.push(scheme[1].toLowerCase());
+    name = name.slice(scheme[0].length);
+  }
+  const top = segments.length;
+  for (const segment of name.split(/[\\/]+/)) {
+    if (!segment || segment === ".") continue;
+    if (segment === "..") {
+      if (segments.length > top) segments.pop();
+      continue;
+    }
+    segments.push(segment.replace(UNSAFE, "_"));
+  }
+  return segments.length ? segments.join("/") : null;
+}
+
+/**
+ * Extractor writing into `dir`. `request(url)` resolves to { res, body } and
+ * is used for sources whose content the map leaves out.
+ */
+export async function openSourceTree(dir, request) {
+  const indexFile = path.join(dir, "index.json");
+  // file -> { source, bundles }; entries from earlier runs are kept so
+  // bundles skipped as unchanged still show up
+  let index = {};
+  try {
+    index = JSON.parse(await fs.readFile(indexFile, "utf8")).files || {};
+  } catch {
+    // First run
+  }
+
+  const write = async (file, content) => {
+    const target = path.join(dir, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  };
+
+  const fetchSource = async (url) => {
+    if (!/^https?:/.test(url)) return null;
+    try {
+      const { res, body } = await request(url);
+      return res.ok ? body : null;
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    /**
+     * Write the sources of `map` (parsed JSON) for the bundle at `bundleUrl`,
+     * whose map lives at `mapUrl`. Returns how many files were written and
+     * how many sources could not be recovered.
+     */
+    async extract(bundleUrl, mapUrl, map) {
+      const { sources = [], sourcesContent = [], sourceRoot = "" } = map;
+      let written = 0;
+      let missing = 0;
+      for (let i = 0; i < sources.length; i++) {
+        const source = sources[i];
+        const file = source && sourceFilePath(source, sourceRoot);
+        if (!file) continue;
+
+        let content = sourcesContent[i];
+        if (typeof content !== "string") {
+          let url;
+          try {
+            url = new URL((sourceRoot || "") + source, mapUrl).href;
+          } catch {
+            url = "";
+          }
+          content = await fetchSource(url);
+        }
+        if (content == null) {
+          missing++;
+          continue;
+        }
+
+        await write(file, content);
+        written++;
+        const entry = index[file] || { source, bundles: [] };
+        if (!entry.bundles.includes(bundleUrl)) entry.bundles.push(bundleUrl);
+        index[file] = entry;
+      }
+      return { written, missing };
+    },
+
+    files: () => Object.keys(index).length,
+
+    async close() {
+      const sorted = Object.fromEntries(
+        Object.entries(index).sort(([a], [b]) => a.localeCompare(b))
+      );
+      await write(
+        "index.json",
+        JSON.stringify(
+          { updated: new Date().toISOString(), files: sorted },
+          null,
+          2
+        )
+      );
+    },
+  };
+}
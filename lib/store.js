@@ -0,0 +1,92 @@
+/**
+ * Content-addressed store for a mirror, or for every snapshot in a
+ * --snapshot folder, in <dir>/.broddy/objects. Every saved asset is a hard
+ * link to the object named by the SHA-256 of its bytes, so identical files
+ * (one font behind five cache-busting queries) take the disk space of one.
+ * Where hard links aren't supported each file is written as a plain copy
+ * instead.
+ */
+
+import { createHash, randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Errors meaning this filesystem won't link, as opposed to a failed write
+const NO_LINKS = new Set(["EPERM", "EXDEV", "ENOTSUP", "EMLINK", "ENOSYS"]);
+
+export async function openStore(dir) {
+  const root = path.join(dir, ".broddy", "objects");
+  let links = true;
+  let shared = 0; // files that reused an object
+  let sharedBytes = 0;
+
+  // Path of the object holding `data`, written unless it is already there
+  const object = async (data) => {
+    const hash = createHash("sha256").update(data).digest("hex");
+    const file = path.join(root, hash.slice(0, 2), hash);
+    try {
+      // A file edited in place changes its object too: only link to an
+      // object whose bytes still hash to its name, and replace it otherwise
+      if ((await fs.stat(file)).size === data.length) {
+        const stored = createHash("sha256")
+          .update(await fs.readFile(file))
+          .digest("hex");
+        if (stored === hash) return { file, existed: true };
+      }
+    } catch {
+      // Not stored yet
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${randomUUID()}.tmp`;
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, file);
+    return { file, existed: false };
+  };
+
+  return {
+    // Write `data` to `target`, sharing storage with identical files
+    async save(target, data) {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // Never write through an existing link into other files' content
+      await fs.rm(target, { force: true });
+      if (links) {
+        const { file, existed } = await object(data);
+        try {
+          await fs.link(file, target);
+          if (existed) {
+            shared++;
+            sharedBytes += data.length;
+          }
+          return;
+        } catch (e) {
+          if (!NO_LINKS.has(e.code)) throw e;
+          links = false;
+          await fs.rm(root, { recursive: true, force: true });
+        }
+      }
+      await fs.writeFile(target, data);
+    },
+
+    // Drop objects no file links to any more. Returns how many went.
+    async prune() {
+      let removed = 0;
+      let dirs = [];
+      try {
+        dirs = await fs.readdir(root);
+      } catch {
+        return 0;
+      }
+      for (const dir of dirs) {
+        for (const name of await fs.readdir(path.join(root, dir))) {
+          const file = path.join(root, dir, name);
+          if ((await fs.stat(file)).nlink > 1) continue;
+          await fs.rm(file, { force: true });
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    stats: () => ({ files: shared, bytes: sharedBytes }),
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Line diffs for `broddy diff`, as unified diff text. Lines the two sides
+ * share at either end are set aside first; what's left is compared by
+ * longest common subsequence while that stays small, and otherwise shown
+ * as one block replaced by another.
+ */
+
+// Largest table the subsequence search builds, in cells
+const MAX_CELLS = 4_000_000;
+// Longer lines (minified bundles) are cut short in the output
+const MAX_LINE = 200;
+
+const splitLines = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (lines.at(-1) === "") lines.pop();
+  return lines;
+};
+
+// Edit script turning a into b: [[" " | "-" | "+", line], ...]
+function edits(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const before = a.slice(0, start).map((line) => [" ", line]);
+  const after = a.slice(endA).map((line) => [" ", line]);
+  const x = a.slice(start, endA);
+  const y = b.slice(start, endB);
+
+  let middle;
+  if ((x.length + 1) * (y.length + 1) > MAX_CELLS) {
+    middle = [...x.map((line) => ["-", line]), ...y.map((line) => ["+", line])];
+  } else {
+    // lengths[i][j]: common subsequence of x[i..] and y[j..]
+    const width = y.length + 1;
+    const lengths = new Uint32Array((x.length + 1) * width);
+    for (let i = x.length - 1; i >= 0; i--) {
+      for (let j = y.length - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          x[i] === y[j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * width + j],
+                lengths[i * width + j + 1]
+              );
+      }
+    }
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < x.length && j < y.length) {
+      if (x[i] === y[j]) {
+        middle.push([" ", x[i++]]);
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        middle.push(["-", x[i++]]);
+      } else {
+        middle.push(["+", y[j++]]);
+      }
+    }
+    while (i < x.length) middle.push(["-", x[i++]]);
+    while (j < y.length) middle.push(["+", y[j++]]);
+  }
+  return [...before, ...middle, ...after];
+}
+
+const shorten = (line) =>
+  line.length > MAX_LINE
+    ? `${line.slice(0, MAX_LINE)}… (${line.length - MAX_LINE} more characters)`
+    : line;
+
+/**
+ * Unified diff from `before` to `after`, labelled `from` and `to`, with
+ * `context` unchanged lines around each change. Empty when the texts have
+ * the same lines.
+ */
+export function unifiedDiff(before, after, { from, to, context = 3 } = {}) {
+  const script = edits(splitLines(before), splitLines(after));
+  const changed = script
+    .map(([op], n) => (op === " " ? -1 : n))
+    .filter((n) => n !== -1);
+  if (!changed.length) return "";
+
+  // Group changes whose context overlaps into hunks of [first, last] edits
+  const hunks = [];
+  for (const n of changed) {
+    const last = hunks.at(-1);
+    if (last && n - last[1] <= context * 2 + 1) last[1] = n;
+    else hunks.push([n, n]);
+  }
+
+  const out = [`--- ${from}`, `+++ ${to}`];
+  // Line numbers on each side where every edit starts
+  const lineA = [];
+  const lineB = [];
+  let a = 1;
+  let b = 1;
+  for (const [op] of script) {
+    lineA.push(a);
+    lineB.push(b);
+    if (op !== "+") a++;
+    if (op !== "-") b++;
+  }
+  for (const [first, last] of hunks) {
+    const start = Math.max(0, first - context);
+    const end = Math.min(script.length, last + context + 1);
+    const lines = script.slice(start, end);
+    const countA = lines.filter(([op]) => op !== "+").length;
+    const countB = lines.filter(([op]) => op !== "-").length;
+    // An empty side is numbered by the line before it, as diff(1) does
+    const startA = countA ? lineA[start] : lineA[start] - 1;
+    const startB = countB ? lineB[start] : lineB[start] - 1;
+    out.push(`@@ -${startA},${countA} +${startB},${countB} @@`);
+    for (const [op, line] of lines) out.push(`${op}${shorten(line)}`);
+  }
+  return out.join("\n");
+}
@@ -0,0 +1,243 @@
+/**
+ * Mirror verification (broddy verify). Scans every saved page, stylesheet,
+ * script, SVG, XML and JSON file with the same extraction the mirror uses,
+ * resolves each reference against the files on disk and reports what is
+ * missing, what still points at a mirrored origin on the live internet, and
+ * which pages no link leads to. Links the crawl skipped on purpose (robots.txt,
+ * --exclude) are listed apart and don't count as missing.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { load } from "cheerio";
+import { REFRESH_URL, createExtractor } from "./extract.js";
+import { listFiles } from "./files.js";
+import { decodePath, loadLayout } from "./serve.js";
+
+// Stand-in origin for the mirror, so references resolve like URLs
+const LOCAL = "http://mirror.invalid";
+
+const FILE_TYPES = {
+  ".html": "html",
+  ".htm": "html",
+  ".css": "css",
+  ".js": "js",
+  ".mjs": "js",
+  ".cjs": "js",
+  ".json": "json",
+  ".webmanifest": "webmanifest",
+  ".svg": "svg",
+  ".xml": "xml",
+};
+
+const exists = (file) =>
+  fs.stat(file).then(
+    (stat) => stat.isFile(),
+    () => false
+  );
+
+// What the manifest says about the mirror: the origins it copied, the pages
+// it saved, the URLs that already failed upstream and those it skipped
+async function readManifest(dir) {
+  const origins = new Set();
+  const pages = new Set(); // saved page files
+  const failed = new Set(); // url path (+ query) on the site that failed
+  const skipped = new Set(); // url path (+ query) left out of the crawl
+  let entries = {};
+  try {
+    const file = path.join(dir, ".broddy", "manifest.json");
+    ({ entries = {} } = JSON.parse(await fs.readFile(file, "utf8")));
+  } catch {
+    // No manifest: every html file counts as a page
+    return null;
+  }
+  for (const [url, entry] of Object.entries(entries)) {
+    const { origin, pathname, search } = new URL(url);
+    if (entry.status === "complete") origins.add(origin);
+    if (entry.status === "complete" && entry.kind === "page") {
+      pages.add(entry.path.replace(/^\/+/, ""));
+    }
+    if (entry.status === "failed") failed.add(pathname + search);
+    if (entry.status === "skipped") skipped.add(pathname + search);
+  }
+  return { origins, pages, failed, skipped };
+}
+
+// Recorded API calls (--record-api), which the replay shim answers
+async function readFixtures(dir) {
+  const keys = new Set();
+  const apiDir = path.join(dir, "_api");
+  const names = await fs.readdir(apiDir).catch(() => []);
+  for (const name of names.filter((n) => n.endsWith(".json"))) {
+    try {
+      const { url } = JSON.parse(
+        await fs.readFile(path.join(apiDir, name), "utf8")
+      );
+      if (url) keys.add(url);
+    } catch {
+      /* not a fixture */
+    }
+  }
+  return keys;
+}
+
+/**
+ * Verify the mirror in `dir`. `basePath` is the --base-path it was made
+ * with. Resolves to { files, references, missing, live, upstream, skipped,
+ * unreachable, ok } where ok is false when anything is missing or live.
+ */
+export async function verifyMirror(
+  dir,
+  { basePath = "/", jsParser = "regex", log = console.log } = {}
+) {
+  const root = path.resolve(dir);
+  const prefix = `/${basePath.replace(/^\/+|\/+$/g, "")}/`.replace("//", "/");
+  const manifest = await readManifest(root);
+  const fixtures = await readFixtures(root);
+  const layout = await loadLayout(root);
+  const { extractAssets, extractHtmlAssets } = createExtractor({
+    jsParser,
+    log: () => {},
+  });
+
+  const files = (await listFiles(root, [".broddy", "_api"]))
+    .filter((name) => FILE_TYPES[path.extname(name).toLowerCase()])
+    .sort();
+
+  const missing = []; // { file, ref }
+  const live = []; // { file, ref }
+  const upstream = []; // { file, ref }, missing because the site lacks it too
+  const skipped = []; // { file, ref }, left out of the crawl on purpose
+  const links = new Map(); // html file -> html files it leads to
+  let references = 0;
+
+  // Mirror file a local URL lands on, the way `broddy serve` finds it: where
+  // the manifest saved that URL, or else the file named like its path
+  const locate = async (url) => {
+    const pathname = decodePath(url.pathname);
+    if (!pathname.startsWith(prefix)) return null;
+    const file = pathname.slice(prefix.length);
+    const known = layout.get(`/${file}${url.search}`) || layout.get(`/${file}`);
+    if (known && (await exists(path.join(root, known.path)))) {
+      return known.path;
+    }
+    const candidates =
+      file === "" || file.endsWith("/")
+        ? [`${file}index.html`]
+        : [file, `${file}.html`, `${file}/index.html`];
+    for (const candidate of candidates) {
+      if (await exists(path.join(root, candidate))) return candidate;
+    }
+    return null;
+  };
+
+  const check = async (file, ref) => {
+    let url;
+    try {
+      url = new URL(ref);
+    } catch {
+      return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+    references++;
+
+    if (url.origin !== LOCAL) {
+      if (manifest?.origins.has(url.origin)) live.push({ file, ref });
+      return null;
+    }
+
+    const found = await locate(url);
+    if (found) return found;
+    const key = `/${url.pathname.slice(prefix.length)}${url.search}`;
+    if (fixtures.has(key)) return null;
+    // Pages are skipped by path alone unless the crawl kept queries
+    const bare = key.replace(/\?.*$/, "");
+    if (manifest?.failed.has(key)) upstream.push({ file, ref: key });
+    else if (manifest?.skipped.has(key) || manifest?.skipped.has(bare)) {
+      skipped.push({ file, ref: key });
+    } else missing.push({ file, ref: key });
+    return null;
+  };
+
+  for (const file of files) {
+    const type = FILE_TYPES[path.extname(file).toLowerCase()];
+    const fileUrl = `${LOCAL}${prefix}${file}`;
+    const code = await fs.readFile(path.join(root, file), "utf8");
+    const refs = new Set();
+
+    if (type === "html") {
+      const $ = load(code);
+      const base = new URL($("base[href]").attr("href") || "", fileUrl).href;
+      for (const url of extractHtmlAssets($, base).keys()) refs.add(url);
+      // Links to other pages
+      $("a[href], area[href]").each((_, el) => {
+        try {
+          refs.add(new URL($(el).attr("href"), base).href);
+        } catch {
+          /* ignore */
+        }
+      });
+      $('meta[http-equiv="refresh" i]').each((_, el) => {
+        const match = ($(el).attr("content") || "").match(REFRESH_URL);
+        try {
+          if (match) refs.add(new URL(match[2], base).href);
+        } catch {
+          /* ignore */
+        }
+      });
+    } else {
+      for (const url of extractAssets(code, type, fileUrl)) refs.add(url);
+    }
+
+    const targets = new Set();
+    for (const ref of refs) {
+      const found = await check(file, ref.replace(/#.*$/, ""));
+      if (found && /\.html?$/.test(found)) targets.add(found);
+    }
+    if (type === "html") links.set(file, targets);
+  }
+
+  // Pages no link leads to from the home page
+  const start = links.has("index.html") ? ["index.html"] : [];
+  const reached = new Set(start);
+  for (let i = 0; i < start.length; i++) {
+    for (const next of links.get(start[i]) || []) {
+      if (!reached.has(next)) {
+        reached.add(next);
+        start.push(next);
+      }
+    }
+  }
+  const unreachable = start.length
+    ? [...links.keys()].filter(
+        (file) =>
+          !reached.has(file) &&
+          !file.endsWith(".prerendered.html") &&
+          !file.startsWith("_external/") &&
+          (!manifest || manifest.pages.has(file))
+      )
+    : [];
+
+  missing.forEach(({ file, ref }) => log(`  ❌ missing ${ref}  ← ${file}`));
+  live.forEach(({ file, ref }) => log(`  🌐 live ${ref}  ← ${file}`));
+  upstream.forEach(({ file, ref }) =>
+    log(`  ⚠️  missing upstream too ${ref}  ← ${file}`)
+  );
+  skipped.forEach(({ file, ref }) => log(`  ⏭️  skipped ${ref}  ← ${file}`));
+  unreachable.forEach((file) => log(`  🏝️  unreachable page ${file}`));
+  log(
+    `📊 ${files.length} files, ${references} references: ${missing.length} missing, ${live.length} live, ${upstream.length} missing upstream, ${skipped.length} skipped, ${unreachable.length} unreachable pages`
+  );
+
+  const ok = missing.length === 0 && live.length === 0;
+  return {
+    files: files.length,
+    references,
+    missing,
+    live,
+    upstream,
+    skipped,
+    unreachable,
+    ok,
+  };
+}
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const SITE = {
+  "/": [
+    "text/html",
+    '<link rel="stylesheet" href="/s.css"><img src="/gone.png"><a href="/a">a</a><a href="/private/b">b</a>',
+  ],
+  "/a": ["text/html", "<h1>a</h1>"],
+  "/private/b": ["text/html", "<h1>b</h1>"],
+  "/s.css": ["text/css", "body{color:red}"],
+};
+
+test("bad options throw before anything runs", () => {
+  assert.throws(() => mirror(), TypeError);
+  assert.throws(
+    () => mirror({ url: "http://x.test/", relative: true, basePath: "/m" }),
+    /relative and basePath cannot be combined/
+  );
+  assert.throws(
+    () => mirror({ url: "http://x.test/", format: "tar" }),
+    /unknown format "tar"/
+  );
+});
+
+test("emits what it saves, finds and fails", async (t) => {
+  const { origin } = await serveSite(SITE, t);
+  const run = mirror({ url: `${origin}/`, outDir: await tempDir(t) });
+  const seen = { page: [], asset: [], found: [], error: [], progress: [] };
+  for (const name of Object.keys(seen)) {
+    run.on(name, (data) => seen[name].push(data));
+  }
+  const { pages, assets, failures } = await run;
+
+  const urls = (list) => list.map(({ url }) => new URL(url).pathname).sort();
+  assert.deepEqual(urls(seen.page), ["/", "/a", "/private/b"]);
+  assert.deepEqual(urls(seen.page), urls(pages));
+  assert.deepEqual(urls(seen.asset), ["/s.css"]);
+  assert.deepEqual(urls(seen.asset), urls(assets));
+  assert.ok(
+    seen.found.some(
+      ({ url, from }) => url === `${origin}/s.css` && from === `${origin}/`
+    )
+  );
+  assert.deepEqual(urls(seen.error), ["/gone.png"]);
+  assert.deepEqual(urls(failures), ["/gone.png"]);
+  assert.ok(seen.progress.every(({ done, total }) => done <= total));
+});
+
+test("hooks change requests, links followed and content", async (t) => {
+  let token;
+  const site = await serveSite(
+    {
+      ...SITE,
+      "/a": (req, res) => {
+        token = req.headers["x-token"];
+        res.writeHead(200, { "content-type": "text/html" });
+        res.end("<h1>a</h1>");
+      },
+    },
+    t
+  );
+  const outDir = await tempDir(t);
+  const { pages } = await mirror({
+    url: `${site.origin}/`,
+    outDir,
+    hooks: {
+      beforeRequest: (url, init) => ({
+        ...init,
+        headers: { ...init.headers, "x-token": "secret" },
+      }),
+      shouldFollow: (url) => !url.includes("/private/"),
+      transform: async (content, url, type) =>
+        type === "css" ? content.replace("red", "blue") : undefined,
+    },
+  });
+  assert.equal(token, "secret");
+  assert.ok(!pages.some(({ url }) => url.includes("/private/")));
+  assert.ok(!site.requests.includes("/private/b"));
+  assert.equal(
+    await fs.readFile(path.join(outDir, "s.css"), "utf8"),
+    "body{color:blue}"
+  );
+});
@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { inflateRawSync } from "node:zlib";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+// sha1 of nothing, base32
+const EMPTY_DIGEST = "sha1:3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ";
+
+const HOME =
+  '<link rel="stylesheet" href="/s.css"><link rel="stylesheet" href="/blank.css"><a href="/a">a</a>';
+
+const site = (t) =>
+  serveSite(
+    {
+      "/": ["text/html", HOME],
+      "/a": ["text/html", `<p>${"repeated text ".repeat(50)}</p>`],
+      "/s.css": ["text/css", "body{}"],
+      "/blank.css": ["text/css", ""],
+    },
+    t
+  );
+
+// Each gzip member of a .warc.gz on its own: 10 bytes of header (no name
+// or extra fields), the deflate stream and an 8-byte trailer
+function gzipMembers(data) {
+  const members = [];
+  for (let offset = 0; offset < data.length; ) {
+    assert.equal(data.readUInt16BE(offset), 0x1f8b, "gzip member");
+    const { buffer, engine } = inflateRawSync(data.subarray(offset + 10), {
+      info: true,
+    });
+    members.push(buffer);
+    offset += 10 + engine.bytesWritten + 8;
+  }
+  return members;
+}
+
+function parseRecord(data) {
+  const end = data.indexOf("\r\n\r\n");
+  const [version, ...lines] = data.subarray(0, end).toString().split("\r\n");
+  const fields = Object.fromEntries(
+    lines.map((line) => line.split(/: (.*)/s).slice(0, 2))
+  );
+  const block = data.subarray(end + 4, data.length - 4);
+  assert.equal(data.subarray(-4).toString(), "\r\n\r\n");
+  assert.equal(Number(fields["Content-Length"]), block.length);
+  return { version, fields, block: block.toString() };
+}
+
+test("--format warc writes one gzipped record per member", async (t) => {
+  const { origin } = await site(t);
+  const dir = await tempDir(t);
+  await mirror({
+    url: `${origin}/`,
+    outDir: path.join(dir, "m"),
+    format: "warc",
+    cookies: ["token=hunter2"],
+  });
+
+  const records = gzipMembers(await fs.readFile(path.join(dir, "m.warc.gz")));
+  const parsed = records.map(parseRecord);
+  parsed.forEach(({ version }) => assert.equal(version, "WARC/1.1"));
+  assert.equal(parsed[0].fields["WARC-Type"], "warcinfo");
+  assert.match(parsed[0].block, /^software: broddy\//);
+
+  const responses = parsed.filter((r) => r.fields["WARC-Type"] === "response");
+  const requests = parsed.filter((r) => r.fields["WARC-Type"] === "request");
+  assert.equal(parsed.length, 1 + responses.length + requests.length);
+  const ids = new Set(responses.map((r) => r.fields["WARC-Record-ID"]));
+  assert.equal(ids.size, responses.length);
+  for (const { fields } of requests) {
+    assert.ok(ids.has(fields["WARC-Concurrent-To"]));
+  }
+
+  const response = (pathname) =>
+    responses.find((r) => r.fields["WARC-Target-URI"] === origin + pathname);
+  const home = response("/");
+  assert.equal(
+    home.fields["Content-Type"],
+    "application/http;msgtype=response"
+  );
+  assert.match(home.block, /^HTTP\/1\.1 200 OK\r\n/);
+  assert.ok(
+    home.block.endsWith(`\r\ncontent-length: ${HOME.length}\r\n\r\n${HOME}`)
+  );
+  assert.equal(
+    response("/blank.css").fields["WARC-Payload-Digest"],
+    EMPTY_DIGEST
+  );
+
+  const request = requests.find(
+    (r) => r.fields["WARC-Target-URI"] === `${origin}/a`
+  );
+  assert.match(request.block, /^GET \/a HTTP\/1\.1\r\nhost: localhost:\d+\r\n/);
+  assert.match(request.block, /\r\ncookie: \[redacted\]\r\n/);
+});
+
+// CRC-32, to check the archive the way unzip does
+function crc32(data) {
+  let crc = ~0;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++)
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return ~crc >>> 0;
+}
+
+// name -> contents of every file in a zip, read from its central directory
+function readZip(data) {
+  const end = data.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = data.readUInt16LE(end + 10);
+  let entry = data.readUInt32LE(end + 16);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(data.readUInt32LE(entry), 0x02014b50);
+    const method = data.readUInt16LE(entry + 10);
+    const crc = data.readUInt32LE(entry + 16);
+    const size = data.readUInt32LE(entry + 20);
+    const nameLength = data.readUInt16LE(entry + 28);
+    const local = data.readUInt32LE(entry + 42);
+    const name = data.toString("utf8", entry + 46, entry + 46 + nameLength);
+
+    assert.equal(data.readUInt32LE(local), 0x04034b50);
+    const start = local + 30 + data.readUInt16LE(local + 26);
+    const body = data.subarray(start, start + size);
+    const content = method === 8 ? inflateRawSync(body) : body;
+    assert.equal(crc32(content), crc, name);
+    assert.equal(content.length, data.readUInt32LE(entry + 24), name);
+    files[name] = content.toString();
+    entry += 46 + nameLength;
+  }
+  return files;
+}
+
+test("--format zip packs the mirror without .broddy", async (t) => {
+  const { origin } = await site(t);
+  const dir = await tempDir(t);
+  const outDir = path.join(dir, "m");
+  await mirror({ url: `${origin}/`, outDir, format: "zip" });
+
+  const files = readZip(await fs.readFile(path.join(dir, "m.zip")));
+  assert.deepEqual(Object.keys(files).sort(), [
+    "a.html",
+    "blank.css",
+    "index.html",
+    "s.css",
+  ]);
+  for (const [name, content] of Object.entries(files)) {
+    assert.equal(content, await fs.readFile(path.join(outDir, name), "utf8"));
+  }
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { isProbe, next, vite, webpack } from "../lib/bundlers.js";
+import { createExtractor } from "../lib/extract.js";
+
+const found = (plugin, code, fileUrl, type = "js") => {
+  assert.ok(plugin.test(code, fileUrl, type), `${plugin.name} should apply`);
+  return plugin.find(code, fileUrl).sort();
+};
+
+test("webpack chunk maps expand to every chunk", () => {
+  const runtime = [
+    '__webpack_require__.p = "/static/";',
+    '__webpack_require__.u = (chunkId) => "js/" + chunkId + "." + {12: "a1b2c3", 34: "d4e5f6"}[chunkId] + ".chunk.js";',
+    '__webpack_require__.miniCssF = (chunkId) => "css/" + chunkId + "." + {12: "0f0f0f"}[chunkId] + ".css";',
+  ].join("\n");
+  const fileUrl = "https://x.test/static/js/runtime.js";
+  const chunks = [
+    "https://x.test/static/css/12.0f0f0f.css",
+    "https://x.test/static/js/12.a1b2c3.chunk.js",
+    "https://x.test/static/js/34.d4e5f6.chunk.js",
+  ];
+  assert.deepEqual(found(webpack, runtime, fileUrl), chunks);
+
+  // And the extractor runs the plugins on every script
+  const { extractAssets } = createExtractor();
+  const urls = [...extractAssets(runtime, "js", fileUrl)];
+  chunks.forEach((chunk) => assert.ok(urls.includes(chunk), chunk));
+});
+
+test("vite preload lists and build manifests", () => {
+  const entry =
+    'const __vite__mapDeps=(i,m=__vite__mapDeps,d=(m.f||(m.f=["assets/About-abc.js","assets/About-def.css"])))=>i.map(i=>d[i]);';
+  assert.deepEqual(found(vite, entry, "https://x.test/assets/index-1.js"), [
+    "https://x.test/.vite/manifest.json",
+    "https://x.test/assets/About-abc.js",
+    "https://x.test/assets/About-def.css",
+  ]);
+  // The manifest is only a guess, so its absence is no error
+  assert.ok(isProbe("https://x.test/.vite/manifest.json"));
+  assert.ok(!isProbe("https://x.test/assets/About-abc.js"));
+
+  const manifest = JSON.stringify({
+    "src/main.ts": {
+      file: "assets/main-1.js",
+      css: ["assets/main-2.css"],
+      assets: ["assets/logo-3.svg"],
+    },
+  });
+  const manifestUrl = "https://x.test/.vite/manifest.json";
+  assert.deepEqual(found(vite, manifest, manifestUrl, "json"), [
+    "https://x.test/assets/logo-3.svg",
+    "https://x.test/assets/main-1.js",
+    "https://x.test/assets/main-2.css",
+  ]);
+});
+
+test("next.js build and ssg manifests", () => {
+  const build =
+    'self.__BUILD_MANIFEST=function(s){return {"/":[s,"static/chunks/pages/index-1.js"],"/about":["static/chunks/pages/about-2.js","static/css/3.css"]}}("static/chunks/shared-0.js");';
+  const root = "https://x.test/_next/static/BUILD1/";
+  assert.deepEqual(found(next, build, `${root}_buildManifest.js`), [
+    "https://x.test/_next/static/chunks/pages/about-2.js",
+    "https://x.test/_next/static/chunks/pages/index-1.js",
+    "https://x.test/_next/static/chunks/shared-0.js",
+    "https://x.test/_next/static/css/3.css",
+  ]);
+
+  const ssg = 'self.__SSG_MANIFEST=new Set(["/","/blog","/blog/[slug]"]);';
+  assert.deepEqual(found(next, ssg, `${root}_ssgManifest.js`), [
+    "https://x.test/_next/data/BUILD1/blog.json",
+    "https://x.test/_next/data/BUILD1/index.json",
+  ]);
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+test("assets are scanned by what the server says they are", async (t) => {
+  const png = ["image/png", "png"];
+  const site = await serveSite(
+    {
+      "/": [
+        "text/html",
+        '<link rel="stylesheet" href="/theme?v=2"><script src="/bundle"></script><link rel="manifest" href="/site.webmanifest"><img src="/logo.svg">',
+      ],
+      "/theme?v=2": ["text/css", "body{background:url(/img/bg.png)}"],
+      "/bundle": ["application/javascript", 'fetch("/api/config")'],
+      // Sniffed: the server only says text/plain
+      "/api/config": ["text/plain", '{"logo": "ORIGIN/img/config.png"}'],
+      // Named by its extension, though served as plain json
+      "/site.webmanifest": [
+        "application/json",
+        '{"icons": [{"src": "/img/icon.png"}]}',
+      ],
+      "/logo.svg": [
+        "image/svg+xml",
+        '<svg xmlns="http://www.w3.org/2000/svg"><image href="/img/inner.png"/></svg>',
+      ],
+      "/img/bg.png": png,
+      "/img/config.png": png,
+      "/img/icon.png": png,
+      "/img/inner.png": png,
+    },
+    t
+  );
+  const outDir = await tempDir(t);
+  const { failures, assets } = await mirror({ url: `${site.origin}/`, outDir });
+  assert.deepEqual(failures, []);
+
+  const types = Object.fromEntries(
+    assets.map(({ url, type }) => [url.slice(site.origin.length), type])
+  );
+  assert.deepEqual(types, {
+    "/theme?v=2": "css",
+    "/bundle": "js",
+    "/api/config": "json",
+    "/site.webmanifest": "webmanifest",
+    "/logo.svg": "svg",
+    "/img/bg.png": "other",
+    "/img/config.png": "other",
+    "/img/icon.png": "other",
+    "/img/inner.png": "other",
+  });
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { tempDir } from "./fixtures/mirror.js";
+
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+// Run the CLI to completion: { code, stdout, stderr }
+const broddy = (args, cwd) =>
+  new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...args],
+      { cwd, timeout: 30000 },
+      (error, stdout, stderr) =>
+        resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+
+test("options mirror() rejects are reported with the usage", async () => {
+  for (const args of [
+    ["--relative", "--base-path", "/x"],
+    ["--resume", "--update"],
+    ["--js-parser", "nope"],
+    ["--format", "tar"],
+  ]) {
+    const { code, stderr } = await broddy(["http://localhost:1/", ...args]);
+    assert.equal(code, 1, args.join(" "));
+    assert.match(stderr, /^\S.*\n\nusage: broddy/);
+  }
+});
+
+test("a failed run is one line and exit code 1", async (t) => {
+  const dir = await tempDir(t);
+  // The output folder can't be made inside a file
+  await fs.writeFile(path.join(dir, "file"), "");
+  const { code, stdout, stderr } = await broddy(
+    ["http://localhost:1/", "file/out", "--quiet"],
+    dir
+  );
+  assert.equal(code, 1);
+  assert.equal(stdout, "");
+  assert.match(stderr, /^❌ ENOTDIR: .*\n$/);
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { openCookieJar } from "../lib/cookies.js";
+import { tempDir } from "./fixtures/mirror.js";
+
+test("sends cookies by domain, path and scheme", async () => {
+  const jar = await openCookieJar();
+  jar.store("https://www.x.test/account/login", [
+    "sid=1; Path=/; Domain=x.test; Secure",
+    "pref=dark",
+    "other=1; Domain=y.test",
+  ]);
+  assert.equal(jar.header("https://x.test/"), "sid=1");
+  assert.equal(jar.header("http://x.test/"), null);
+  // No Path: the request's directory, host-only
+  assert.equal(
+    jar.header("https://www.x.test/account/page"),
+    "pref=dark; sid=1"
+  );
+  assert.equal(jar.header("https://www.x.test/accounts"), "sid=1");
+  assert.equal(jar.header("https://y.test/"), null);
+});
+
+test("Max-Age of zero deletes a cookie", async () => {
+  const jar = await openCookieJar();
+  jar.add("a=1; b=2", "https://x.test/");
+  jar.store("https://x.test/", ["a=; Max-Age=0"]);
+  assert.equal(jar.header("https://x.test/page"), "b=2");
+});
+
+test("reads and writes Netscape cookie files", async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, "cookies.txt");
+  await fs.writeFile(
+    file,
+    [
+      "# Netscape HTTP Cookie File",
+      ".x.test\tTRUE\t/\tFALSE\t0\tsid\tabc",
+      "#HttpOnly_x.test\tFALSE\t/\tFALSE\t0\ttoken\tsecret",
+      "x.test\tFALSE\t/\tFALSE\t1\texpired\tgone",
+    ].join("\n")
+  );
+  const jar = await openCookieJar(file);
+  assert.equal(jar.header("http://x.test/"), "sid=abc; token=secret");
+  assert.equal(jar.header("http://sub.x.test/"), "sid=abc");
+  await jar.save();
+  const saved = await fs.readFile(file, "utf8");
+  assert.match(saved, /^\.x\.test\tTRUE\t\/\tFALSE\t0\tsid\tabc$/m);
+  assert.match(
+    saved,
+    /^#HttpOnly_x\.test\tFALSE\t\/\tFALSE\t0\ttoken\tsecret$/m
+  );
+  assert.doesNotMatch(saved, /expired/);
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { cssReferences, markupReferences, rewriteCss } from "../lib/css.js";
+
+const urls = (css) =>
+  cssReferences(css).map(({ url, context }) => [url, context]);
+
+test("finds url(), @import, image-set() and src()", () => {
+  const css = `
+    @import "base.css";
+    @import url(theme.css) screen;
+    @namespace svg url(http://www.w3.org/2000/svg);
+    .a { background: url( "a b.png" ) }
+    .b { background-image: image-set("b.png" 1x, url(b@2x.png) 2x) }
+    @font-face { src: src('font.woff2') format("woff2"), url(font.woff) }
+  `;
+  assert.deepEqual(urls(css), [
+    ["base.css", "import"],
+    ["theme.css", "import"],
+    ["a b.png", "url"],
+    ["b.png", "url"],
+    ["b@2x.png", "url"],
+    ["font.woff2", "url"],
+    ["font.woff", "url"],
+  ]);
+});
+
+test("ignores comments and strings that aren't references", () => {
+  const css = `/* url(old.png) */ .a::before { content: "url(no.png)" }`;
+  assert.deepEqual(urls(css), []);
+});
+
+test("rewrites each reference in its own form and quotes", () => {
+  const css = `@import 'a.css'; .x { background: url("x.png"), url(y.png); src: src('f.woff') }`;
+  const out = rewriteCss(css, ({ url }) => `/m/${url}`);
+  assert.equal(
+    out,
+    `@import '/m/a.css'; .x { background: url("/m/x.png"), url(/m/y.png); src: src('/m/f.woff') }`
+  );
+});
+
+test("quotes rewritten unquoted urls that need it", () => {
+  assert.equal(
+    rewriteCss(".a { background: url(a.png) }", () => "my file.png"),
+    '.a { background: url("my file.png") }'
+  );
+});
+
+test("leaves references alone when replace returns null", () => {
+  const css = ".a { background: url(a.png) }";
+  assert.equal(
+    rewriteCss(css, () => null),
+    css
+  );
+});
+
+test("only touches the CSS inside markup", () => {
+  const svg = `<svg><style>.a{fill:url(a.svg#g)}</style><rect style='fill: url("b.svg")' data-x="url(c.svg)"/></svg>`;
+  assert.deepEqual(
+    markupReferences(svg).map(({ url }) => url),
+    ["a.svg#g", "b.svg", "c.svg"]
+  );
+  assert.equal(
+    rewriteCss(svg, ({ url }) => `x/${url}`, { markup: true }),
+    `<svg><style>.a{fill:url(x/a.svg#g)}</style><rect style='fill: url("x/b.svg")' data-x="url(x/c.svg)"/></svg>`
+  );
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { gzipSync } from "node:zlib";
+import { parseFeed, parseRobots, parseSitemap } from "../lib/discover.js";
+
+const ROBOTS = `
+User-agent: *
+Disallow: /admin
+Allow: /admin/public
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: broddy
+User-agent: other
+Disallow: /private # comment
+
+Sitemap: /sitemap.xml
+`;
+
+test("robots.txt groups for the crawler, falling back to *", () => {
+  const mine = parseRobots(ROBOTS, "https://x.test/robots.txt");
+  assert.equal(mine.allowed("/private/page"), false);
+  assert.equal(mine.allowed("/admin"), true);
+  assert.equal(mine.crawlDelay, 0);
+  assert.deepEqual(mine.sitemaps, ["https://x.test/sitemap.xml"]);
+
+  const others = parseRobots(ROBOTS, "https://x.test/robots.txt", "someone");
+  assert.equal(others.allowed("/admin/users"), false);
+  assert.equal(others.allowed("/admin/public/a"), true);
+  assert.equal(others.allowed("/files/a.pdf"), false);
+  assert.equal(others.allowed("/files/a.pdf?x"), true);
+  assert.equal(others.crawlDelay, 2);
+});
+
+test("sitemaps: urlsets, indexes, gzip and plain text", () => {
+  const urlset = `<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc>https://x.test/a</loc></url>
+      <url><loc> /b </loc></url>
+      <url><loc>mailto:nope@x.test</loc></url>
+    </urlset>`;
+  assert.deepEqual(parseSitemap(Buffer.from(urlset), "https://x.test/s.xml"), {
+    pages: ["https://x.test/a", "https://x.test/b"],
+    sitemaps: [],
+  });
+  const index = `<sitemapindex><sitemap><loc>https://x.test/s1.xml.gz</loc></sitemap></sitemapindex>`;
+  assert.deepEqual(
+    parseSitemap(gzipSync(index), "https://x.test/sitemap.xml").sitemaps,
+    ["https://x.test/s1.xml.gz"]
+  );
+  assert.deepEqual(
+    parseSitemap(
+      Buffer.from("https://x.test/a\nhttps://x.test/b\n"),
+      "https://x.test/s.txt"
+    ).pages,
+    ["https://x.test/a", "https://x.test/b"]
+  );
+});
+
+test("feed item links from RSS, Atom and JSON feeds", () => {
+  const rss = `<rss><channel><link>https://x.test/</link><item><link>/post-1</link></item></channel></rss>`;
+  assert.deepEqual(parseFeed(Buffer.from(rss), "https://x.test/feed"), [
+    "https://x.test/post-1",
+  ]);
+  const atom = `<feed><entry><link rel="edit" href="/edit/1"/><link rel="alternate" href="/post-1"/></entry></feed>`;
+  assert.deepEqual(parseFeed(Buffer.from(atom), "https://x.test/atom"), [
+    "https://x.test/post-1",
+  ]);
+  const json = JSON.stringify({ items: [{ url: "/post-1" }, { id: "2" }] });
+  assert.deepEqual(parseFeed(Buffer.from(json), "https://x.test/feed.json"), [
+    "https://x.test/post-1",
+  ]);
+});
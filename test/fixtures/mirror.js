@@ -0,0 +1,39 @@
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+ * Empty folder in the system's temp dir. With a test context `t` it is
+ * removed when the test ends.
+ */
+export async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "broddy-"));
+  t?.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Finished mirror in `dir` as broddy saves it. `urls` maps each URL to
+ * { path, content, ...manifest fields }; entries are complete, HTML files
+ * are pages and everything else an asset unless `kind` says otherwise.
+ */
+export async function writeMirror(dir, urls) {
+  const entries = {};
+  for (const [url, { content, ...entry }] of Object.entries(urls)) {
+    const file = path.join(dir, entry.path);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+    entries[url] = {
+      kind: entry.path.endsWith(".html") ? "page" : "asset",
+      status: "complete",
+      size: Buffer.byteLength(content),
+      ...entry,
+    };
+  }
+  await fs.mkdir(path.join(dir, ".broddy"), { recursive: true });
+  await fs.writeFile(
+    path.join(dir, ".broddy", "manifest.json"),
+    JSON.stringify({ entries })
+  );
+  return dir;
+}
@@ -0,0 +1,40 @@
+import { createHash } from "node:crypto";
+import http from "node:http";
+
+/**
+ * Local site for a test. `pages` maps each path (plus query) to
+ * [type, body, headers] or to a handler (req, res); anything else is a 404.
+ * "ORIGIN" in a body becomes the site's own origin, and `pages` may change
+ * between requests; bodies carry an ETag and revalidate with 304. Resolves
+ * to { origin, requests, close }, requests being every path asked for, in
+ * order. With a test context `t` the server closes when the test ends.
+ */
+export async function serveSite(pages, t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const page = pages[req.url];
+    if (typeof page === "function") return page(req, res);
+    if (!page) {
+      res.writeHead(404, { "content-type": "text/plain" });
+      return res.end("Not found");
+    }
+    const [type, content, headers = {}] = page;
+    const body =
+      typeof content === "string"
+        ? content.replaceAll("ORIGIN", origin)
+        : content;
+    const etag = `"${createHash("sha1").update(body).digest("hex")}"`;
+    if (req.headers["if-none-match"] === etag) {
+      res.writeHead(304, { etag });
+      return res.end();
+    }
+    res.writeHead(200, { "content-type": type, etag, ...headers });
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const origin = `http://localhost:${server.address().port}`;
+  const close = () => new Promise((resolve) => server.close(resolve));
+  t?.after(close);
+  return { origin, requests, close };
+}
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { hostConfigs } from "../lib/hosting.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const SITE = {
+  redirects: [
+    { from: "/old", to: "/new", status: 301 },
+    { from: "/docs", to: "/docs/", status: 301 },
+  ],
+  pages: [
+    { path: "/", headers: { "x-frame-options": "DENY" } },
+    {
+      path: "/app",
+      headers: {
+        "x-frame-options": "DENY",
+        "content-security-policy": "default-src 'self'",
+      },
+    },
+  ],
+  notFound: "/404.html",
+  spa: false,
+};
+
+test("netlify and cloudflare _redirects and _headers", () => {
+  const files = hostConfigs(SITE);
+  assert.deepEqual(Object.keys(files).sort(), [
+    "_headers",
+    "_redirects",
+    "nginx.conf",
+    "vercel.json",
+  ]);
+  // A trailing slash alone is every host's business
+  assert.equal(files._redirects, "/old  /new  301\n");
+  assert.equal(
+    files._headers,
+    "/*\n  X-Frame-Options: DENY\n\n/app\n  Content-Security-Policy: default-src 'self'\n"
+  );
+  const spa = hostConfigs({ ...SITE, spa: true, root: "/m/" });
+  assert.equal(spa._redirects, "/old  /new  301\n/m/*  /m/index.html  200\n");
+});
+
+test("vercel.json and nginx.conf", () => {
+  const files = hostConfigs(SITE);
+  assert.deepEqual(JSON.parse(files["vercel.json"]), {
+    redirects: [{ source: "/old", destination: "/new", statusCode: 301 }],
+    headers: [
+      { source: "/(.*)", headers: [{ key: "X-Frame-Options", value: "DENY" }] },
+      {
+        source: "/app",
+        headers: [
+          { key: "Content-Security-Policy", value: "default-src 'self'" },
+        ],
+      },
+    ],
+    cleanUrls: true,
+  });
+  assert.equal(
+    files["nginx.conf"],
+    [
+      "# Include inside the server { } block that serves the mirror",
+      "",
+      "error_page 404 /404.html;",
+      "",
+      'add_header X-Frame-Options "DENY" always;',
+      "",
+      "location = /old {",
+      "  return 301 /new;",
+      "}",
+      "location = /app {",
+      '  add_header X-Frame-Options "DENY" always;',
+      `  add_header Content-Security-Policy "default-src 'self'" always;`,
+      "  try_files $uri $uri.html $uri/ =404;",
+      "}",
+      "location / {",
+      "  try_files $uri $uri.html $uri/ =404;",
+      "}",
+      "",
+    ].join("\n")
+  );
+});
+
+test("nothing to say, no files", () => {
+  assert.deepEqual(
+    hostConfigs({ redirects: [], pages: [{ path: "/" }], notFound: null }),
+    {}
+  );
+});
+
+test("a mirror gets the configs for its redirects and headers", async (t) => {
+  const site = await serveSite(
+    {
+      "/": [
+        "text/html",
+        '<a href="/old">old</a>',
+        { "x-frame-options": "DENY", server: "origin/1.0" },
+      ],
+      "/old": (req, res) => {
+        res.writeHead(301, { location: "/new" });
+        res.end();
+      },
+      "/new": ["text/html", "<h1>new</h1>", { "x-frame-options": "DENY" }],
+    },
+    t
+  );
+  const outDir = await tempDir(t);
+  const { failures } = await mirror({ url: `${site.origin}/`, outDir });
+  assert.deepEqual(failures, []);
+
+  const read = (file) => fs.readFile(path.join(outDir, file), "utf8");
+  assert.equal(await read("_redirects"), "/old  /new  301\n");
+  assert.equal(await read("_headers"), "/*\n  X-Frame-Options: DENY\n");
+  assert.match(
+    await read("nginx.conf"),
+    /location = \/old \{\n {2}return 301 \/new;/
+  );
+});
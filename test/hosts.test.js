@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+test("--include-hosts saves other hosts' files in their own folders", async (t) => {
+  const cdn = await serveSite(
+    {
+      "/css/lib.css": ["text/css", "@font-face{src:url(/fonts/f.woff2)}"],
+      "/fonts/f.woff2": ["font/woff2", "woff2"],
+      "/js/lib.js": ["text/javascript", "export default 1;"],
+    },
+    t
+  );
+  // Same server, other host name
+  const { port } = new URL(cdn.origin);
+  const cdnOrigin = `http://127.0.0.1:${port}`;
+  const site = await serveSite(
+    {
+      "/": [
+        "text/html",
+        `<link rel="stylesheet" href="${cdnOrigin}/css/lib.css"><script src="${cdnOrigin}/js/lib.js"></script><img src="http://localhost:1/elsewhere.png">`,
+      ],
+    },
+    t
+  );
+  const outDir = await tempDir(t);
+  const { failures } = await mirror({
+    url: `${site.origin}/`,
+    outDir,
+    includeHosts: ["127.0.0.1"],
+  });
+  assert.deepEqual(failures, []);
+
+  const folder = `_external/127.0.0.1_${port}`;
+  const read = (file) => fs.readFile(path.join(outDir, file), "utf8");
+  const html = await read("index.html");
+  assert.ok(html.includes(`href="${folder}/css/lib.css"`), html);
+  assert.ok(html.includes(`src="${folder}/js/lib.js"`), html);
+  // Hosts not asked for stay on the internet
+  assert.ok(html.includes('src="http://localhost:1/elsewhere.png"'), html);
+
+  // Root-relative references inside resolve on the file's own host
+  const css = await read(`${folder}/css/lib.css`);
+  assert.equal(css, "@font-face{src:url(../fonts/f.woff2)}");
+  assert.equal(await read(`${folder}/fonts/f.woff2`), "woff2");
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const PAGE = `<!doctype html>
+<html><head>
+<meta property="og:image" content="ORIGIN/img/og.png">
+<meta http-equiv="refresh" content="30; url=ORIGIN/">
+<link rel="icon" href="ORIGIN/img/icon.png">
+<link rel="apple-touch-icon" href="ORIGIN/img/touch.png">
+<link rel="manifest" href="ORIGIN/app.webmanifest">
+<link rel="preload" as="image" href="ORIGIN/img/hero.png" imagesrcset="ORIGIN/img/hero.png 1x, ORIGIN/img/hero@2x.png 2x">
+<link rel="modulepreload" href="ORIGIN/js/dep.js">
+<script type="importmap">{"imports": {"app": "ORIGIN/js/app.js"}}</script>
+</head><body>
+<img src="ORIGIN/img/a.png" srcset="ORIGIN/img/a-480.png 480w, ORIGIN/img/a-960.png 960w">
+<picture><source srcset="ORIGIN/img/b.webp 1x, ORIGIN/img/b@2x.webp 2x"></picture>
+<video poster="ORIGIN/img/poster.png"></video>
+<div style="background:url(ORIGIN/img/bg.png)"></div>
+<svg><use href="ORIGIN/img/sprite.svg#icon"></use></svg>
+</body></html>`;
+
+const IMAGES = [
+  "og.png",
+  "icon.png",
+  "touch.png",
+  "hero.png",
+  "hero@2x.png",
+  "a.png",
+  "a-480.png",
+  "a-960.png",
+  "b.webp",
+  "b@2x.webp",
+  "poster.png",
+  "bg.png",
+];
+
+test("every kind of HTML reference is saved and made relative", async (t) => {
+  const pages = {
+    "/": ["text/html", '<a href="/blog/post">post</a>'],
+    "/blog/post": ["text/html", PAGE],
+    "/app.webmanifest": ["application/manifest+json", "{}"],
+    "/js/dep.js": ["text/javascript", "export default 1;"],
+    "/js/app.js": ["text/javascript", "export default 2;"],
+    "/img/sprite.svg": ["image/svg+xml", '<svg><symbol id="icon"/></svg>'],
+  };
+  for (const name of IMAGES) pages[`/img/${name}`] = ["image/png", name];
+  const site = await serveSite(pages, t);
+  const outDir = await tempDir(t);
+  const { failures } = await mirror({
+    url: `${site.origin}/`,
+    outDir,
+    relative: true,
+  });
+  assert.deepEqual(failures, []);
+
+  const html = await fs.readFile(path.join(outDir, "blog/post.html"), "utf8");
+  assert.ok(!html.includes(site.origin), "no reference left on the site");
+  const local = (ref) => new URL(ref, "http://m/blog/post.html").pathname;
+  for (const name of IMAGES) {
+    const ref = `../img/${name}`;
+    assert.ok(html.includes(ref), ref);
+    await fs.access(path.join(outDir, local(ref)));
+  }
+  assert.match(html, /<use href="\.\.\/img\/sprite\.svg#icon">/);
+  assert.match(html, /"app": "\.\.\/js\/app\.js"/);
+  assert.match(html, /href="\.\.\/js\/dep\.js"/);
+  assert.match(html, /href="\.\.\/app\.webmanifest"/);
+  assert.match(html, /content="30; url=\.\.\/(index\.html)?"/);
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { test } from "node:test";
+import { load } from "cheerio";
+import {
+  adjustCsp,
+  inlineHashes,
+  recomputeIntegrity,
+} from "../lib/integrity.js";
+
+const sha = (algorithm, content) =>
+  `${algorithm}-${createHash(algorithm).update(content).digest("base64")}`;
+
+test("integrity is recomputed with the algorithms it listed", () => {
+  assert.equal(
+    recomputeIntegrity("sha256-old sha512-old", "code"),
+    `${sha("sha256", "code")} ${sha("sha512", "code")}`
+  );
+  assert.equal(recomputeIntegrity("md5-old", "code"), sha("sha384", "code"));
+});
+
+test("inline hashes cover scripts and styles without src", () => {
+  const $ = load(
+    '<script>a()</script><script src="x.js"></script><style>p{}</style>'
+  );
+  assert.deepEqual(inlineHashes($), {
+    script: [`'${sha("sha256", "a()")}'`],
+    style: [`'${sha("sha256", "p{}")}'`],
+  });
+});
+
+test("CSP allows the mirror, re-pins inline blocks and drops reporting", () => {
+  const policy =
+    "default-src 'none'; script-src https://cdn.x.test 'sha256-old'; img-src *; report-uri /csp; upgrade-insecure-requests";
+  assert.equal(
+    adjustCsp(policy, { script: ["'sha256-new'"], style: [] }),
+    "default-src 'none'; script-src 'self' https://cdn.x.test 'sha256-old' 'sha256-new'; img-src *"
+  );
+});
+
+test("hashes go to the directive that governs inline blocks", () => {
+  const policy = "default-src 'nonce-abc'; style-src 'self'";
+  assert.equal(
+    adjustCsp(policy, { script: ["'sha256-s'"], style: ["'sha256-c'"] }),
+    "default-src 'self' 'nonce-abc' 'sha256-s'; style-src 'self'"
+  );
+});
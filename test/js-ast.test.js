@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { createExtractor } from "../lib/extract.js";
+import { findReferences } from "../lib/js-ast.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const BASE = "https://x.test/js/app.js";
+
+test("the parser evaluates what each module loads", () => {
+  const code = `
+    import "./side.js";
+    const dir = "./chunks/";
+    import(dir + "a.js");
+    import(\`\${dir}b.js\`);
+    import(name); // unknown, skipped
+    new URL("../img/w.png", import.meta.url);
+    new Worker("/worker.js");
+    navigator.serviceWorker.register("/sw.js");
+    importScripts("./lib.js");
+    fetch("/api/items");
+    const label = "not a url";
+  `;
+  const refs = findReferences(code).map(({ value, context }) => ({
+    value,
+    context,
+  }));
+  assert.deepEqual(refs, [
+    { value: "./side.js", context: "import" },
+    { value: "./chunks/a.js", context: "import" },
+    { value: "./chunks/b.js", context: "import" },
+    { value: "../img/w.png", context: "module" },
+    { value: "/worker.js", context: "document" },
+    { value: "/sw.js", context: "document" },
+    { value: "./lib.js", context: "module" },
+    { value: "/api/items", context: "document" },
+  ]);
+});
+
+test("code the parser can't read falls back to the regex scan", () => {
+  const broken = 'import("./lazy.js"); let = ;';
+  assert.equal(findReferences(broken), null);
+
+  const ast = createExtractor({ jsParser: "ast" });
+  assert.deepEqual(
+    [...ast.extractAssets(broken, "js", BASE)],
+    ["https://x.test/js/lazy.js"]
+  );
+  // Parsed, it finds what the regexes can't
+  const concat = 'const d = "./c/"; import(d + "x.js");';
+  assert.deepEqual(
+    [...ast.extractAssets(concat, "js", BASE)],
+    ["https://x.test/js/c/x.js"]
+  );
+  const regex = createExtractor({ jsParser: "regex" });
+  assert.deepEqual([...regex.extractAssets(concat, "js", BASE)], []);
+});
+
+test("--js-parser ast rewrites the references and nothing else", async (t) => {
+  const site = await serveSite(
+    {
+      "/": ["text/html", '<script type="module" src="/js/app.js"></script>'],
+      "/js/app.js": [
+        "text/javascript",
+        [
+          'const dir = "./chunks/";',
+          'import(dir + "a.js");',
+          'const logo = new URL("ORIGIN/img/w.png", import.meta.url);',
+          'const note = "see ORIGIN/img/w.png";',
+        ].join("\n"),
+      ],
+      "/js/chunks/a.js": ["text/javascript", "export default 1;"],
+      "/img/w.png": ["image/png", "png"],
+    },
+    t
+  );
+  const outDir = await tempDir(t);
+  const { failures } = await mirror({
+    url: `${site.origin}/`,
+    outDir,
+    jsParser: "ast",
+  });
+  assert.deepEqual(failures, []);
+  assert.ok(site.requests.includes("/js/chunks/a.js"));
+
+  const app = await fs.readFile(path.join(outDir, "js/app.js"), "utf8");
+  assert.match(app, /new URL\("\.\.\/img\/w\.png", import\.meta\.url\)/);
+  assert.match(app, /import\("\.\/chunks\/a\.js"\)/);
+  assert.ok(app.includes(`"see ${site.origin}/img/w.png"`));
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createPathMap, safePath, withQueryHash } from "../lib/paths.js";
+
+test("withQueryHash names each query after its hash", () => {
+  const a = withQueryHash("/css/app.css", "?v=1");
+  assert.match(a, /^\/css\/app-[0-9a-f]{10}\.css$/);
+  assert.equal(withQueryHash("/css/app.css", "?v=1"), a);
+  assert.notEqual(withQueryHash("/css/app.css", "?v=2"), a);
+});
+
+test("safePath makes every segment safe on Windows", () => {
+  assert.equal(safePath("a:b/c?d.html"), "a_b/c_d.html");
+  assert.equal(safePath("docs/con.txt"), "docs/con_.txt");
+  assert.equal(safePath("dir./name "), "dir_/name_");
+  const long = safePath(`${"x".repeat(300)}.js`);
+  assert.ok(Buffer.byteLength(long) <= 255);
+  assert.ok(long.endsWith(".js"));
+});
+
+test("path map keeps a URL's path and tells colliding URLs apart", () => {
+  const paths = createPathMap();
+  const first = paths.assign("https://x.test/About", "about.html");
+  assert.equal(first, "about.html");
+  assert.equal(paths.assign("https://x.test/About", "other.html"), first);
+  // Same file where case is ignored
+  const second = paths.assign("https://x.test/about", "About.html");
+  assert.match(second, /^About-[0-9a-f]{8}\.html$/);
+});
+
+test("paths reserved by an earlier run win", () => {
+  const paths = createPathMap();
+  paths.reserve("https://x.test/b", "page.html");
+  assert.notEqual(paths.assign("https://x.test/a", "page.html"), "page.html");
+  assert.equal(paths.assign("https://x.test/b", "elsewhere.html"), "page.html");
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+test("every URL is fetched once, for scanning and saving alike", async (t) => {
+  const site = await serveSite(
+    {
+      "/": [
+        "text/html",
+        '<link rel="stylesheet" href="/css/app.css"><script type="module" src="/js/app.js"></script><a href="/about">about</a>',
+      ],
+      "/about": [
+        "text/html",
+        '<link rel="stylesheet" href="/css/app.css"><img src="/img/logo.png">',
+      ],
+      "/css/app.css": [
+        "text/css",
+        "@import '/css/base.css'; body{background:url(/img/logo.png)}",
+      ],
+      "/css/base.css": ["text/css", "@font-face{src:url(/fonts/a.woff2)}"],
+      "/fonts/a.woff2": ["font/woff2", "woff2"],
+      "/img/logo.png": ["image/png", "png"],
+      "/js/app.js": ["text/javascript", 'import { x } from "./util.js";'],
+      "/js/util.js": ["text/javascript", "export const x = 1;"],
+    },
+    t
+  );
+  const outDir = await tempDir(t);
+  const { failures, assets } = await mirror({ url: `${site.origin}/`, outDir });
+  assert.deepEqual(failures, []);
+  assert.equal(assets.length, 6);
+
+  const twice = site.requests.filter((p, i) => site.requests.indexOf(p) !== i);
+  assert.deepEqual(twice, []);
+  // The saved copy is the scanned one
+  const base = await fs.readFile(path.join(outDir, "css/base.css"), "utf8");
+  assert.match(base, /fonts\/a\.woff2/);
+});
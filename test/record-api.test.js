@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const SITE = {
+  "/": ["text/html", '<script src="/app.js"></script>'],
+  "/app.js": ["text/javascript", 'fetch("/api/items?page=1");'],
+  "/api/items?page=1": ["application/json", '[{"id":1}]'],
+};
+
+const fixture = async (outDir) => {
+  const names = await fs.readdir(path.join(outDir, "_api"));
+  const json = names.find((name) => name.endsWith(".json"));
+  return { json, body: json.replace(/\.json$/, ".body") };
+};
+
+test("API calls are saved as fixtures the replay shim serves", async (t) => {
+  const { origin } = await serveSite(SITE, t);
+  const outDir = await tempDir(t);
+  await mirror({ url: `${origin}/`, outDir, recordApi: ["/api/**"] });
+
+  const { json, body } = await fixture(outDir);
+  const saved = JSON.parse(
+    await fs.readFile(path.join(outDir, "_api", json), "utf8")
+  );
+  assert.equal(saved.method, "GET");
+  assert.equal(saved.url, "/api/items?page=1");
+  assert.equal(saved.status, 200);
+  assert.equal(
+    await fs.readFile(path.join(outDir, "_api", body), "utf8"),
+    '[{"id":1}]'
+  );
+  const page = await fs.readFile(path.join(outDir, "index.html"), "utf8");
+  assert.match(page, /<head><script src="[^"]*_api\/replay\.js"><\/script>/);
+});
+
+test("an unchanged API response stays unchanged on --update", async (t) => {
+  const { origin } = await serveSite(SITE, t);
+  const outDir = await tempDir(t);
+  const report = path.join(outDir, "report.json");
+  await mirror({ url: `${origin}/`, outDir, recordApi: ["/api/**"] });
+
+  const { json } = await fixture(outDir);
+  const { entries } = JSON.parse(
+    await fs.readFile(path.join(outDir, ".broddy", "manifest.json"), "utf8")
+  );
+  const entry = entries[`${origin}/api/items?page=1`];
+  const { size } = await fs.stat(path.join(outDir, entry.path));
+  assert.equal(entry.path, `_api/${json}`);
+  assert.equal(entry.size, size);
+
+  await mirror({
+    url: `${origin}/`,
+    outDir,
+    recordApi: ["/api/**"],
+    update: true,
+    report,
+  });
+  const { urls } = JSON.parse(await fs.readFile(report, "utf8"));
+  const api = urls.find(({ url }) => url.endsWith("/api/items?page=1"));
+  assert.equal(api.result, "unchanged");
+});
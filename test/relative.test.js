@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const APP = `import("/js/chunk.js");
+fetch("ORIGIN/data/list.json");
+const xhr = new XMLHttpRequest();
+xhr.open("GET", "/data/list.json");
+`;
+
+for (const jsParser of ["regex", "ast"]) {
+  test(`--relative keeps JS references loadable (${jsParser})`, async (t) => {
+    const site = await serveSite(
+      {
+        "/": ["text/html", '<script type="module" src="/js/app.js"></script>'],
+        "/js/app.js": ["text/javascript", APP],
+        "/js/chunk.js": ["text/javascript", "export default 1;"],
+        "/data/list.json": ["application/json", "[]"],
+      },
+      t
+    );
+    const outDir = await tempDir(t);
+    await mirror({ url: `${site.origin}/`, outDir, relative: true, jsParser });
+
+    const app = await fs.readFile(path.join(outDir, "js/app.js"), "utf8");
+    // A bare "chunk.js" would be a package name to the module loader
+    const [, chunk] = app.match(/import\("([^"]+)"\)/);
+    assert.match(chunk, /^\.\.?\//);
+    assert.equal(new URL(chunk, "http://m/js/app.js").pathname, "/js/chunk.js");
+
+    // fetch() and XHR resolve against the page, not the script
+    const documentRefs = [
+      ...app.matchAll(/(?:fetch\(|open\("GET", )"([^"]+)"/g),
+    ].map(([, ref]) => ref);
+    assert.equal(documentRefs.length, 2);
+    for (const ref of documentRefs) {
+      assert.ok(!ref.startsWith(site.origin), ref);
+      const file = new URL(ref, "http://m/index.html").pathname;
+      await fs.access(path.join(outDir, file));
+    }
+  });
+}
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const PAGE = `<div id="app"></div>
+<script>
+  fetch("/missing.json").then((res) => {
+    document.querySelector("#app").dataset.status = res.status;
+    return res.json();
+  });
+  fetch("/data.json")
+    .then((res) => res.json())
+    .then(({ title }) => (document.querySelector("#app").textContent = title));
+  import("/chunk.js");
+  Promise.reject(new Error("nobody catches this"));
+  throw new Error("broken script");
+</script>`;
+
+// Rendered in a process of its own, as the test runner would take the
+// page's unhandled rejections for the test's. `host` is code the embedding
+// application runs first; what it puts in `seen` is printed too.
+const render = async (host = "") => {
+  const script = `
+import { renderPage } from ${JSON.stringify(
+    fileURLToPath(new URL("../lib/render.js", import.meta.url))
+  )};
+const seen = [];
+${host}
+const files = {
+  "http://x.test/data.json": ["application/json", '{"title":"rendered"}'],
+};
+// Like the mirror's fetcher: HTTP errors are responses, not exceptions
+const fetchResource = async (url) => {
+  const [contentType, body] = files[url] ?? ["text/plain", "Not found"];
+  return { status: files[url] ? 200 : 404, contentType, body: Buffer.from(body) };
+};
+const result = await renderPage("http://x.test/", ${JSON.stringify(PAGE)}, {
+  fetchResource,
+  timeout: 5000,
+});
+console.log(JSON.stringify({ ...result, seen }));
+`;
+  const { stdout } = await promisify(execFile)(
+    process.execPath,
+    ["--input-type=module", "-e", script],
+    { timeout: 30000 }
+  );
+  return JSON.parse(stdout);
+};
+
+test("a page's failures stay inside its window", async () => {
+  const { html, requests, errors } = await render();
+  assert.match(html, /<div id="app" data-status="404">rendered<\/div>/);
+  assert.ok(requests.includes("http://x.test/data.json"));
+  assert.ok(errors >= 2, `${errors} errors`);
+});
+
+test("the host's own rejections go to the host's listeners", async () => {
+  const { errors, seen } = await render(`
+process.on("unhandledRejection", (reason) => seen.push(reason.message));
+setTimeout(() => Promise.reject(new Error("host")), 100);
+`);
+  // The page's rejections reach every listener too, but end nothing
+  assert.ok(seen.includes("host"));
+  assert.ok(errors >= 2, `${errors} errors`);
+});
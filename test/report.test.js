@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const site = (t) =>
+  serveSite(
+    {
+      "/robots.txt": ["text/plain", "User-agent: *\nDisallow: /private\n"],
+      "/": [
+        "text/html",
+        '<link rel="stylesheet" href="/s.css"><a href="/old">old</a><a href="/gone">gone</a><a href="/private">private</a>',
+        { "set-cookie": "session=secret; Path=/" },
+      ],
+      "/s.css": ["text/css", "body{}"],
+      "/old": (req, res) => {
+        res.writeHead(301, { location: "/new" });
+        res.end();
+      },
+      "/new": ["text/html", "<h1>new</h1>"],
+    },
+    t
+  );
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, "utf8"));
+
+test("--report tells what became of every URL", async (t) => {
+  const { origin } = await site(t);
+  const outDir = await tempDir(t);
+  const report = path.join(outDir, "report.json");
+  await mirror({ url: `${origin}/`, outDir, report });
+
+  const { url, summary, urls } = await readJson(report);
+  assert.equal(url, `${origin}/`);
+  assert.deepEqual(summary, {
+    pages: 2,
+    assets: 1,
+    unchanged: 0,
+    failed: 1,
+    skipped: 1,
+    bytes: summary.bytes,
+  });
+  const byPath = Object.fromEntries(
+    urls.map(({ url, ...rest }) => [new URL(url).pathname, rest])
+  );
+  assert.deepEqual(byPath["/"], {
+    kind: "page",
+    from: null,
+    via: "start",
+    result: "saved",
+    status: 200,
+    contentType: "text/html",
+    path: "index.html",
+    size: byPath["/"].size,
+  });
+  assert.equal(byPath["/s.css"].result, "saved");
+  assert.equal(byPath["/s.css"].via, "html");
+  assert.equal(byPath["/s.css"].from, `${origin}/`);
+  assert.equal(byPath["/old"].result, "redirected");
+  assert.equal(byPath["/old"].location, "/new");
+  assert.equal(byPath["/new"].via, "redirect");
+  assert.equal(byPath["/gone"].result, "failed");
+  assert.equal(byPath["/gone"].status, 404);
+  assert.equal(byPath["/gone"].path, undefined);
+  assert.equal(byPath["/private"].result, "skipped");
+  assert.equal(byPath["/private"].reason, "robots.txt");
+});
+
+test("--har records every request, redirect hops and failures", async (t) => {
+  const { origin } = await site(t);
+  const outDir = await tempDir(t);
+  const har = path.join(outDir, "run.har");
+  await mirror({
+    url: `${origin}/`,
+    outDir,
+    har,
+    cookies: ["token=hunter2"],
+  });
+
+  const { log } = await readJson(har);
+  assert.equal(log.version, "1.2");
+  assert.equal(log.creator.name, "broddy");
+  const entry = (pathname) =>
+    log.entries.find((e) => new URL(e.request.url).pathname === pathname);
+  const header = (headers, name) =>
+    headers.find((h) => h.name.toLowerCase() === name)?.value;
+
+  const home = entry("/");
+  assert.equal(home.response.status, 200);
+  assert.equal(home.response.content.mimeType, "text/html");
+  // Credentials stay out of the archive
+  assert.equal(header(home.request.headers, "cookie"), "[redacted]");
+  assert.equal(header(home.response.headers, "set-cookie"), "[redacted]");
+
+  assert.equal(entry("/old").response.status, 301);
+  assert.equal(entry("/old").response.redirectURL, "/new");
+  assert.equal(entry("/new").response.status, 200);
+  assert.equal(entry("/gone").response.status, 404);
+  assert.equal(entry("/private"), undefined);
+
+  const started = log.entries.map((e) => e.startedDateTime);
+  assert.deepEqual(started, [...started].sort());
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+// Handler answering with each of `statuses` in turn, then 200
+const flaky = (statuses, headers = {}) => {
+  const queue = [...statuses];
+  return (req, res) => {
+    const status = queue.shift() ?? 200;
+    res.writeHead(status, { "content-type": "text/html", ...headers });
+    res.end(status === 200 ? "<h1>ok</h1>" : "busy");
+  };
+};
+
+test("retries transient errors after Retry-After", async (t) => {
+  const site = await serveSite(
+    { "/": flaky([503], { "retry-after": "0" }) },
+    t
+  );
+  const { pages, failures } = await mirror({
+    url: `${site.origin}/`,
+    outDir: await tempDir(t),
+  });
+  assert.equal(site.requests.filter((url) => url === "/").length, 2);
+  assert.equal(pages.length, 1);
+  assert.deepEqual(failures, []);
+});
+
+test("backs off exponentially and gives up after --retries", async (t) => {
+  const site = await serveSite({ "/": flaky([500, 500, 500]) }, t);
+  const started = Date.now();
+  const { failures } = await mirror({
+    url: `${site.origin}/`,
+    outDir: await tempDir(t),
+    retries: 1,
+  });
+  // One retry, 500ms later
+  assert.equal(site.requests.filter((url) => url === "/").length, 2);
+  assert.ok(Date.now() - started >= 500);
+  assert.equal(failures.length, 1);
+  assert.match(failures[0].error, /HTTP 500/);
+});
+
+test("doesn't wait for a Retry-After longer than a minute", async (t) => {
+  const site = await serveSite(
+    { "/": flaky([503], { "retry-after": "86400" }) },
+    t
+  );
+  const { failures } = await mirror({
+    url: `${site.origin}/`,
+    outDir: await tempDir(t),
+  });
+  assert.equal(site.requests.filter((url) => url === "/").length, 1);
+  assert.match(failures[0].error, /HTTP 503/);
+});
+
+test("keeps at most --concurrency requests in flight", async (t) => {
+  let active = 0;
+  let most = 0;
+  const slow = (req, res) => {
+    most = Math.max(most, ++active);
+    setTimeout(() => {
+      active--;
+      res.writeHead(200, { "content-type": "image/png" });
+      res.end("png");
+    }, 50);
+  };
+  const images = [1, 2, 3, 4, 5, 6].map((n) => `/${n}.png`);
+  const site = await serveSite(
+    {
+      "/": ["text/html", images.map((src) => `<img src="${src}">`).join("")],
+      ...Object.fromEntries(images.map((src) => [src, slow])),
+    },
+    t
+  );
+  const { assets } = await mirror({
+    url: `${site.origin}/`,
+    outDir: await tempDir(t),
+    concurrency: 2,
+  });
+  assert.equal(assets.length, 6);
+  assert.equal(most, 2);
+});
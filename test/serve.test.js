@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import { after, before, test } from "node:test";
+import { serve } from "../lib/serve.js";
+import { tempDir, writeMirror } from "./fixtures/mirror.js";
+
+let dir;
+let server;
+let origin;
+
+// A mirror whose files are named after their encoded, hashed URLs
+before(async () => {
+  dir = await writeMirror(await tempDir(), {
+    "https://x.test/": { path: "index.html", content: "<h1>home</h1>" },
+    "https://x.test/docs/a%20b": {
+      path: "/docs/a%20b.html",
+      content: "<h1>a b</h1>",
+    },
+    "https://x.test/css/app.css?v=1": {
+      path: "css/app-055e01147c.css",
+      content: "body{}",
+      contentType: "text/css",
+    },
+    "https://x.test/broddy-not-found": {
+      kind: "notfound",
+      path: "404.html",
+      content: "<h1>not found</h1>",
+    },
+  });
+  const quiet = () => {};
+  server = await serve(dir, { port: 0, log: quiet, warn: quiet });
+  origin = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const get = async (url, headers = {}) => {
+  const res = await fetch(origin + url, { headers });
+  return {
+    status: res.status,
+    type: res.headers.get("content-type"),
+    body: await res.text(),
+  };
+};
+
+test("finds files through the manifest, query included", async () => {
+  const { status, type, body } = await get("/css/app.css?v=1");
+  assert.equal(status, 200);
+  assert.equal(type, "text/css");
+  assert.equal(body, "body{}");
+});
+
+test("matches percent-encoded paths", async () => {
+  assert.equal((await get("/docs/a%20b")).body, "<h1>a b</h1>");
+});
+
+test("answers client-side routes with the app and the rest with 404.html", async () => {
+  const route = await get("/app/settings", { accept: "text/html" });
+  assert.equal(route.status, 200);
+  assert.equal(route.body, "<h1>home</h1>");
+  const missing = await get("/missing.js");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body, "<h1>not found</h1>");
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  createSnapshot,
+  diffMirrors,
+  listSnapshots,
+} from "../lib/snapshots.js";
+import { tempDir, writeMirror } from "./fixtures/mirror.js";
+
+test("snapshots are named by time and listed oldest first", async (t) => {
+  const root = await tempDir(t);
+  const date = new Date("2026-10-19T08:30:00.123Z");
+  const first = await createSnapshot(root, date);
+  assert.equal(path.basename(first.dir), "2026-10-19T08-30-00Z");
+  assert.equal(first.previous, null);
+  await writeMirror(first.dir, {});
+  const second = await createSnapshot(root, date);
+  assert.equal(path.basename(second.dir), "2026-10-19T08-30-00Z-2");
+  assert.equal(second.previous, first.dir);
+  await writeMirror(second.dir, {});
+  assert.deepEqual(await listSnapshots(root), [
+    "2026-10-19T08-30-00Z",
+    "2026-10-19T08-30-00Z-2",
+  ]);
+});
+
+test("diff pairs files by URL and treats deleted files as gone", async (t) => {
+  const root = await tempDir(t);
+  const a = path.join(root, "a");
+  const b = path.join(root, "b");
+  await writeMirror(a, {
+    "https://x.test/": { path: "index.html", content: "<h1>old</h1>\n" },
+    "https://x.test/app.css?v=1": { path: "app-1.css", content: "p{}" },
+    "https://x.test/gone.js": { path: "gone.js", content: "1" },
+    "https://x.test/deleted.js": { path: "deleted.js", content: "1" },
+  });
+  await writeMirror(b, {
+    "https://x.test/": { path: "index.html", content: "<h1>new</h1>\n" },
+    // Saved under another name, same bytes
+    "https://x.test/app.css?v=1": { path: "app-2.css", content: "p{}" },
+    "https://x.test/new.png": { path: "new.png", content: "png" },
+    "https://x.test/deleted.js": { path: "deleted.js", content: "1" },
+  });
+  // Still in the manifest, but the file was removed by hand
+  await fs.rm(path.join(b, "deleted.js"));
+
+  const result = await diffMirrors(a, b, { log: () => {} });
+  assert.deepEqual(
+    result.added.map(({ url }) => url),
+    ["https://x.test/new.png"]
+  );
+  assert.deepEqual(
+    result.removed.map(({ url }) => url),
+    ["https://x.test/deleted.js", "https://x.test/gone.js"]
+  );
+  assert.equal(result.unchanged, 1);
+  const [page] = result.changed;
+  assert.equal(page.url, "https://x.test/");
+  assert.equal(page.delta, 0);
+  assert.match(page.diff, /^-<h1>old<\/h1>\n\+<h1>new<\/h1>$/m);
+});
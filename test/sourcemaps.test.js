@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { parseDataUrl, sourceFilePath } from "../lib/sourcemaps.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+test("source names map to paths inside the tree", () => {
+  assert.equal(
+    sourceFilePath("webpack://app/./src/a.ts"),
+    "webpack/app/src/a.ts"
+  );
+  assert.equal(
+    sourceFilePath("vite://src/b.vue?vue&type=script"),
+    "vite/src/b.vue"
+  );
+  assert.equal(
+    sourceFilePath("webpack:///../../etc/passwd"),
+    "webpack/etc/passwd"
+  );
+  assert.equal(sourceFilePath("../../x.js"), "x.js");
+  assert.equal(sourceFilePath("a.ts", "src/"), "src/a.ts");
+  assert.equal(sourceFilePath("http://x.test/c:d.js"), "http/x.test/c_d.js");
+  assert.equal(sourceFilePath(".."), null);
+
+  assert.equal(
+    parseDataUrl("data:application/json;base64,e30=").toString(),
+    "{}"
+  );
+  assert.equal(parseDataUrl("data:,%7B%7D").toString(), "{}");
+  assert.equal(parseDataUrl("https://x.test/a.map"), null);
+});
+
+test("--extract-sources writes every source and where it came from", async (t) => {
+  const inline = Buffer.from(
+    JSON.stringify({
+      version: 3,
+      sources: ["vite://src/inline.ts"],
+      sourcesContent: ["export const inline = 1;"],
+      mappings: "",
+    })
+  ).toString("base64");
+  const site = await serveSite(
+    {
+      "/": [
+        "text/html",
+        '<script src="/js/app.js"></script><script src="/js/inline.js"></script>',
+      ],
+      "/js/app.js": [
+        "text/javascript",
+        "console.log(1);\n//# sourceMappingURL=app.js.map",
+      ],
+      "/js/app.js.map": [
+        "application/json",
+        JSON.stringify({
+          version: 3,
+          sources: ["webpack://app/./src/a.ts", "../src/b.ts"],
+          sourcesContent: ["export const a = 1;"],
+          mappings: "",
+        }),
+      ],
+      // No sourcesContent for this one: fetched from the server
+      "/src/b.ts": ["text/plain", "export const b = 2;"],
+      "/js/inline.js": [
+        "text/javascript",
+        `console.log(2);\n//# sourceMappingURL=data:application/json;base64,${inline}`,
+      ],
+    },
+    t
+  );
+  const outDir = await tempDir(t);
+  const sources = path.join(outDir, "sources");
+  const { failures } = await mirror({
+    url: `${site.origin}/`,
+    outDir,
+    extractSources: sources,
+  });
+  assert.deepEqual(failures, []);
+
+  const read = (file) => fs.readFile(path.join(sources, file), "utf8");
+  assert.equal(await read("webpack/app/src/a.ts"), "export const a = 1;");
+  assert.equal(await read("src/b.ts"), "export const b = 2;");
+  assert.equal(await read("vite/src/inline.ts"), "export const inline = 1;");
+
+  const { files } = JSON.parse(await read("index.json"));
+  assert.deepEqual(files, {
+    "src/b.ts": {
+      source: "../src/b.ts",
+      bundles: [`${site.origin}/js/app.js`],
+    },
+    "vite/src/inline.ts": {
+      source: "vite://src/inline.ts",
+      bundles: [`${site.origin}/js/inline.js`],
+    },
+    "webpack/app/src/a.ts": {
+      source: "webpack://app/./src/a.ts",
+      bundles: [`${site.origin}/js/app.js`],
+    },
+  });
+});
@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { openStore } from "../lib/store.js";
+import { tempDir } from "./fixtures/mirror.js";
+
+test("identical files share one object", async (t) => {
+  const dir = await tempDir(t);
+  const store = await openStore(dir);
+  await store.save(path.join(dir, "a.woff2"), Buffer.from("font"));
+  await store.save(path.join(dir, "b.woff2"), Buffer.from("font"));
+  const [a, b] = await Promise.all([
+    fs.stat(path.join(dir, "a.woff2")),
+    fs.stat(path.join(dir, "b.woff2")),
+  ]);
+  assert.equal(a.ino, b.ino);
+  assert.deepEqual(store.stats(), { files: 1, bytes: 4 });
+});
+
+test("a file edited in place isn't linked to again", async (t) => {
+  const dir = await tempDir(t);
+  const store = await openStore(dir);
+  await store.save(path.join(dir, "a.txt"), Buffer.from("hello"));
+  // Same size, different bytes, same inode as the object
+  await fs.writeFile(path.join(dir, "a.txt"), "HELLO");
+  await store.save(path.join(dir, "b.txt"), Buffer.from("hello"));
+  assert.equal(await fs.readFile(path.join(dir, "b.txt"), "utf8"), "hello");
+});
+
+test("prune drops objects no file uses", async (t) => {
+  const dir = await tempDir(t);
+  const store = await openStore(dir);
+  await store.save(path.join(dir, "a.txt"), Buffer.from("gone"));
+  await fs.rm(path.join(dir, "a.txt"));
+  assert.equal(await store.prune(), 1);
+});
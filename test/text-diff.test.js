@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { unifiedDiff } from "../lib/text-diff.js";
+
+const labels = { from: "a/x.css", to: "b/x.css" };
+
+test("same lines make no diff", () => {
+  assert.equal(unifiedDiff("a\nb\n", "a\r\nb", labels), "");
+});
+
+test("changes come in hunks with context", () => {
+  const before = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10"].join("\n");
+  const after = [
+    "1",
+    "2",
+    "3",
+    "four",
+    "5",
+    "6",
+    "7",
+    "8",
+    "9",
+    "10",
+    "11",
+  ].join("\n");
+  assert.equal(
+    unifiedDiff(before, after, { ...labels, context: 1 }),
+    [
+      "--- a/x.css",
+      "+++ b/x.css",
+      "@@ -3,3 +3,3 @@",
+      " 3",
+      "-4",
+      "+four",
+      " 5",
+      "@@ -10,1 +10,2 @@",
+      " 10",
+      "+11",
+    ].join("\n")
+  );
+});
+
+test("an empty side is numbered by the line before it", () => {
+  assert.equal(
+    unifiedDiff("", "a\n", labels),
+    ["--- a/x.css", "+++ b/x.css", "@@ -0,0 +1,1 @@", "+a"].join("\n")
+  );
+});
+
+test("long lines are cut short", () => {
+  const diff = unifiedDiff("", `${"x".repeat(250)}\n`, labels);
+  assert.ok(diff.endsWith(`+${"x".repeat(200)}… (50 more characters)`));
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { tempDir } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const site = () => ({
+  "/": [
+    "text/html",
+    '<link rel="stylesheet" href="/s.css"><a href="/a">a</a><a href="/b">b</a>',
+  ],
+  "/a": ["text/html", "<h1>a</h1>"],
+  "/b": ["text/html", "<h1>b</h1>"],
+  "/s.css": ["text/css", "body{}"],
+});
+
+// Results by URL path from the --report of a run
+async function results(report) {
+  const { urls } = JSON.parse(await fs.readFile(report, "utf8"));
+  return Object.fromEntries(
+    urls.map(({ url, result }) => [new URL(url).pathname, result])
+  );
+}
+
+test("--update tells changed, unchanged and removed pages apart", async (t) => {
+  const pages = site();
+  const { origin } = await serveSite(pages, t);
+  const outDir = await tempDir(t);
+  const report = path.join(outDir, ".broddy", "report.json");
+  await mirror({ url: `${origin}/`, outDir });
+
+  pages["/a"] = ["text/html", "<h1>a, again</h1>"];
+  delete pages["/b"];
+  const { failures } = await mirror({
+    url: `${origin}/`,
+    outDir,
+    update: true,
+    report,
+  });
+  assert.deepEqual(failures, []);
+  const byPath = await results(report);
+  assert.equal(byPath["/"], "unchanged");
+  assert.equal(byPath["/s.css"], "unchanged");
+  assert.equal(byPath["/a"], "saved");
+  assert.equal(byPath["/b"], "removed");
+  await assert.rejects(fs.access(path.join(outDir, "b.html")));
+  const { entries } = JSON.parse(
+    await fs.readFile(path.join(outDir, ".broddy", "manifest.json"), "utf8")
+  );
+  assert.equal(entries[`${origin}/b`].status, "removed");
+});
+
+test("--resume skips what an earlier run saved", async (t) => {
+  const server = await serveSite(site(), t);
+  const outDir = await tempDir(t);
+  await mirror({ url: `${server.origin}/`, outDir });
+  server.requests.length = 0;
+  const { failures } = await mirror({
+    url: `${server.origin}/`,
+    outDir,
+    resume: true,
+  });
+  assert.deepEqual(failures, []);
+  for (const url of ["/", "/a", "/b", "/s.css"]) {
+    assert.ok(!server.requests.includes(url), url);
+  }
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { mirror } from "../index.js";
+import { verifyMirror } from "../lib/verify.js";
+import { tempDir, writeMirror } from "./fixtures/mirror.js";
+import { serveSite } from "./fixtures/site.js";
+
+const quiet = { log: () => {} };
+
+test("references resolve through the manifest", async (t) => {
+  const dir = await writeMirror(await tempDir(t), {
+    "https://x.test/": {
+      path: "index.html",
+      content:
+        '<link rel="stylesheet" href="/css/app.css?v=1"><a href="/docs/a%20b">a b</a>',
+    },
+    "https://x.test/docs/a%20b": {
+      path: "/docs/a%20b.html",
+      content: '<a href="/">home</a>',
+    },
+    "https://x.test/css/app.css?v=1": {
+      path: "css/app-055e01147c.css",
+      content: "body{}",
+    },
+  });
+  const result = await verifyMirror(dir, quiet);
+  assert.deepEqual(result.missing, []);
+  assert.deepEqual(result.unreachable, []);
+  assert.equal(result.ok, true);
+});
+
+test("reports missing files, live references and orphan pages", async (t) => {
+  const dir = await writeMirror(await tempDir(t), {
+    "https://x.test/": {
+      path: "index.html",
+      content:
+        '<img src="/logo.png"><script src="https://x.test/app.js"></script>',
+    },
+    "https://x.test/orphan": {
+      path: "orphan.html",
+      content: "<p>no one links here</p>",
+    },
+  });
+  const result = await verifyMirror(dir, quiet);
+  assert.deepEqual(result.missing, [{ file: "index.html", ref: "/logo.png" }]);
+  assert.deepEqual(result.live, [
+    { file: "index.html", ref: "https://x.test/app.js" },
+  ]);
+  assert.deepEqual(result.unreachable, ["orphan.html"]);
+  assert.equal(result.ok, false);
+});
+
+test("links the crawl skipped are reported apart", async (t) => {
+  const { origin } = await serveSite(
+    {
+      "/robots.txt": ["text/plain", "User-agent: *\nDisallow: /deep/two\n"],
+      "/": [
+        "text/html",
+        '<a href="/deep/one">one</a><a href="/deep/two">two</a><a href="/drafts/x">x</a>',
+      ],
+      "/deep/one": ["text/html", '<a href="/">home</a>'],
+      "/deep/two": ["text/html", "<p>not for crawlers</p>"],
+      "/drafts/x": ["text/html", "<p>draft</p>"],
+    },
+    t
+  );
+  const outDir = await tempDir(t);
+  await mirror({ url: `${origin}/`, outDir, exclude: ["/drafts/**"] });
+
+  const result = await verifyMirror(outDir, quiet);
+  assert.deepEqual(result.missing, []);
+  assert.deepEqual(result.skipped, [
+    { file: "index.html", ref: "/deep/two" },
+    { file: "index.html", ref: "/drafts/x" },
+  ]);
+  assert.equal(result.ok, true);
+});